@@ -0,0 +1,33 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { PcmChunker } from './pcm-chunker.js';
+
+// AudioWorklet side of the capture pipeline. Runs on the audio rendering
+// thread and posts `{ pcm, level, durationMs, flushed }` chunks to the node's port.
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor({ processorOptions }) {
+        super();
+        this.chunker = new PcmChunker({
+            ...processorOptions,
+            inputSampleRate: sampleRate,
+            onChunk: (chunk) => this.port.postMessage(chunk, [chunk.pcm.buffer]),
+        });
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'flush') {
+                this.chunker.flush();
+            }
+        };
+    }
+
+    process(inputs) {
+        const channel = inputs[0]?.[0];
+        if (channel) {
+            this.chunker.push(channel);
+        }
+        return true;
+    }
+}
+
+registerProcessor('pcm-capture-processor', PcmCaptureProcessor);
@@ -0,0 +1,71 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { PcmChunker, TARGET_SAMPLE_RATE } from './pcm-chunker.js';
+
+// Microphone capture for the live transcription session.
+//
+// The AudioContext runs at the device's native rate; resampling to 16 kHz,
+// Int16 conversion and batching happen in an AudioWorklet off the main
+// thread. Where worklets are unavailable (older browsers, or the app opened
+// from a local file) the same PcmChunker runs in a ScriptProcessorNode.
+
+export const PCM_MIME_TYPE = `audio/pcm;rate=${TARGET_SAMPLE_RATE}`;
+
+// `onChunk` receives `{ pcm: Int16Array, level, durationMs, flushed }`, where
+// `level` is the RMS of the chunk in the range 0..1.
+export async function createAudioCapture(stream, { chunkMs, onChunk }) {
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    const source = context.createMediaStreamSource(stream);
+
+    let node;
+    let flush;
+    try {
+        await context.audioWorklet.addModule(new URL('./audio-capture-processor.js', import.meta.url));
+        node = new AudioWorkletNode(context, 'pcm-capture-processor', {
+            channelCount: 1,
+            channelCountMode: 'explicit',
+            processorOptions: { targetSampleRate: TARGET_SAMPLE_RATE, chunkMs },
+        });
+        node.port.onmessage = (event) => onChunk(event.data);
+        flush = () => node.port.postMessage({ type: 'flush' });
+    } catch (e) {
+        console.warn("AudioWorklet unavailable, capturing on the main thread instead:", e);
+        const chunker = new PcmChunker({ inputSampleRate: context.sampleRate, chunkMs, onChunk });
+        node = context.createScriptProcessor(4096, 1, 1);
+        node.onaudioprocess = (event) => chunker.push(event.inputBuffer.getChannelData(0));
+        flush = () => chunker.flush();
+    }
+
+    // The node outputs silence; connecting it keeps the graph pulling audio through it.
+    source.connect(node);
+    node.connect(context.destination);
+    if (context.state === 'suspended') {
+        await context.resume();
+    }
+
+    return {
+        context,
+        flush,
+        close() {
+            source.disconnect();
+            node.disconnect();
+            return context.state === 'closed' ? Promise.resolve() : context.close();
+        },
+    };
+}
+
+export function encodePcmChunk(pcm) {
+    const bytes = new Uint8Array(pcm.buffer, pcm.byteOffset, pcm.byteLength);
+    // Convert in slices: one String.fromCharCode call per byte is slow, one
+    // call for the whole buffer can exceed the argument limit.
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return {
+        data: btoa(binary),
+        mimeType: PCM_MIME_TYPE,
+    };
+}
@@ -0,0 +1,27 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Exponential backoff with jitter for reconnection attempts.
+export class Backoff {
+    constructor({ initialDelayMs = 1000, maxDelayMs = 16000, maxAttempts = 8 } = {}) {
+        this.initialDelayMs = initialDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.maxAttempts = maxAttempts;
+        this.attempts = 0;
+    }
+
+    // Returns the delay before the next attempt, or null once attempts are exhausted.
+    next() {
+        if (this.attempts >= this.maxAttempts) return null;
+        const delay = Math.min(this.maxDelayMs, this.initialDelayMs * 2 ** this.attempts);
+        this.attempts++;
+        // Jitter keeps peers that dropped at the same moment from retrying in lockstep.
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    reset() {
+        this.attempts = 0;
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Connection health of a call, read from RTCPeerConnection.getStats().
+//
+// Stats are sampled periodically. Rates (bitrate, packet loss) are computed
+// between two samples, so every sample keeps the raw counters for the next.
+// VideoQualityAdapter steps our outgoing video down while the connection is
+// poor and back up once it has recovered.
+
+// Thresholds for 'fair' and 'poor' quality.
+const FAIR_RTT_MS = 200;
+const POOR_RTT_MS = 400;
+const FAIR_LOSS = 0.03;
+const POOR_LOSS = 0.08;
+const FAIR_JITTER_MS = 30;
+const POOR_JITTER_MS = 50;
+
+// How candidate types are shown: relayed through TURN, direct through NAT, or within the local network.
+const CONNECTION_TYPES = { relay: 'relay', srflx: 'direct', prflx: 'direct', host: 'host' };
+
+// Outgoing video settings, from best to worst. The last one stops sending video.
+export const VIDEO_QUALITY_LEVELS = [
+    { label: 'Full', maxBitrate: 1500000, scaleResolutionDownBy: 1 },
+    { label: 'Reduced', maxBitrate: 600000, scaleResolutionDownBy: 2 },
+    { label: 'Low', maxBitrate: 200000, scaleResolutionDownBy: 4 },
+    { label: 'Audio only', maxBitrate: 0, scaleResolutionDownBy: 1, active: false },
+];
+
+// Resolves to a sample:
+//     { timestamp, rttMs, jitterMs, packetLoss, outboundLoss, inboundKbps, outboundKbps,
+//       connectionType, localCandidateType, remoteCandidateType, protocol,
+//       inboundVideo, outboundVideo, counters }
+// `packetLoss` is the share of packets we did not receive since `previous`,
+// `outboundLoss` the share the other side reports missing. Values that the
+// browser does not report, or that need a previous sample, are null.
+export async function collectCallStats(peerConnection, previous = null) {
+    const report = await peerConnection.getStats();
+    const sample = {
+        timestamp: Date.now(),
+        rttMs: null,
+        jitterMs: null,
+        packetLoss: null,
+        outboundLoss: null,
+        inboundKbps: null,
+        outboundKbps: null,
+        connectionType: null,
+        localCandidateType: null,
+        remoteCandidateType: null,
+        protocol: null,
+        inboundVideo: null,
+        outboundVideo: null,
+        counters: { bytesReceived: 0, bytesSent: 0, packetsReceived: 0, packetsLost: 0 },
+    };
+
+    const pair = findSelectedCandidatePair(report);
+    if (pair) {
+        if (pair.currentRoundTripTime !== undefined) {
+            sample.rttMs = Math.round(pair.currentRoundTripTime * 1000);
+        }
+        const local = report.get(pair.localCandidateId);
+        const remote = report.get(pair.remoteCandidateId);
+        sample.localCandidateType = local?.candidateType ?? null;
+        sample.remoteCandidateType = remote?.candidateType ?? null;
+        sample.protocol = local?.protocol ?? null;
+        // A relay on either side means the media goes through TURN.
+        const types = [sample.localCandidateType, sample.remoteCandidateType];
+        sample.connectionType = types.includes('relay') ? 'relay' : CONNECTION_TYPES[sample.localCandidateType] ?? null;
+    }
+
+    report.forEach(entry => {
+        if (entry.type === 'inbound-rtp') {
+            sample.counters.bytesReceived += entry.bytesReceived ?? 0;
+            sample.counters.packetsReceived += entry.packetsReceived ?? 0;
+            sample.counters.packetsLost += Math.max(0, entry.packetsLost ?? 0);
+            // Audio jitter is what makes speech hard to follow.
+            if (entry.kind === 'audio' && entry.jitter !== undefined) {
+                sample.jitterMs = Math.round(entry.jitter * 1000);
+            }
+            if (entry.kind === 'video') {
+                sample.inboundVideo = getVideoInfo(entry);
+            }
+        } else if (entry.type === 'outbound-rtp') {
+            sample.counters.bytesSent += entry.bytesSent ?? 0;
+            if (entry.kind === 'video') {
+                sample.outboundVideo = {
+                    ...getVideoInfo(entry),
+                    qualityLimitationReason: entry.qualityLimitationReason ?? null,
+                };
+            }
+        } else if (entry.type === 'remote-inbound-rtp') {
+            if (entry.fractionLost !== undefined) {
+                sample.outboundLoss = Math.max(sample.outboundLoss ?? 0, entry.fractionLost);
+            }
+            if (sample.rttMs === null && entry.roundTripTime !== undefined) {
+                sample.rttMs = Math.round(entry.roundTripTime * 1000);
+            }
+        }
+    });
+
+    if (previous) {
+        const seconds = (sample.timestamp - previous.timestamp) / 1000;
+        const { counters } = sample;
+        if (seconds > 0) {
+            sample.inboundKbps = Math.max(0, Math.round((counters.bytesReceived - previous.counters.bytesReceived) * 8 / 1000 / seconds));
+            sample.outboundKbps = Math.max(0, Math.round((counters.bytesSent - previous.counters.bytesSent) * 8 / 1000 / seconds));
+        }
+        const received = counters.packetsReceived - previous.counters.packetsReceived;
+        const lost = counters.packetsLost - previous.counters.packetsLost;
+        if (received + lost > 0) {
+            sample.packetLoss = Math.max(0, lost) / (received + Math.max(0, lost));
+        }
+    }
+    return sample;
+}
+
+// 'good', 'fair', 'poor', or 'unknown' before there is anything to judge by.
+export function rateCallQuality({ rttMs, jitterMs, packetLoss, outboundLoss }) {
+    if (rttMs === null && packetLoss === null && outboundLoss === null) return 'unknown';
+    const loss = Math.max(packetLoss ?? 0, outboundLoss ?? 0);
+    const rtt = rttMs ?? 0;
+    const jitter = jitterMs ?? 0;
+    if (rtt > POOR_RTT_MS || loss > POOR_LOSS || jitter > POOR_JITTER_MS) return 'poor';
+    if (rtt > FAIR_RTT_MS || loss > FAIR_LOSS || jitter > FAIR_JITTER_MS) return 'fair';
+    return 'good';
+}
+
+// Steps down one level after `downgradeAfter` poor samples in a row, and up
+// one level after `upgradeAfter` good ones. Recovering is slower than
+// degrading so the video does not flap on a borderline connection.
+export class VideoQualityAdapter {
+    constructor({ downgradeAfter = 2, upgradeAfter = 5 } = {}) {
+        this.downgradeAfter = downgradeAfter;
+        this.upgradeAfter = upgradeAfter;
+        this.level = 0;
+        this.poorCount = 0;
+        this.goodCount = 0;
+    }
+
+    // Returns the new level index when it changes, otherwise null.
+    update(quality) {
+        this.poorCount = quality === 'poor' ? this.poorCount + 1 : 0;
+        this.goodCount = quality === 'good' ? this.goodCount + 1 : 0;
+        if (this.poorCount >= this.downgradeAfter && this.level < VIDEO_QUALITY_LEVELS.length - 1) {
+            this.poorCount = 0;
+            return ++this.level;
+        }
+        if (this.goodCount >= this.upgradeAfter && this.level > 0) {
+            this.goodCount = 0;
+            return --this.level;
+        }
+        return null;
+    }
+}
+
+function findSelectedCandidatePair(report) {
+    let pair = null;
+    report.forEach(entry => {
+        if (entry.type === 'transport' && entry.selectedCandidatePairId) {
+            pair = report.get(entry.selectedCandidatePairId) ?? pair;
+        }
+    });
+    if (pair) return pair;
+    // Firefox has no transport stats but marks the pair in use.
+    report.forEach(entry => {
+        if (entry.type === 'candidate-pair' && (entry.selected || (entry.nominated && entry.state === 'succeeded'))) {
+            pair ??= entry;
+        }
+    });
+    return pair;
+}
+
+function getVideoInfo(entry) {
+    return {
+        width: entry.frameWidth ?? null,
+        height: entry.frameHeight ?? null,
+        fps: entry.framesPerSecond ?? null,
+    };
+}
@@ -0,0 +1,53 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Splits a growing interim transcript into segments that will not change
+// any more, so they can be translated while the speaker is still talking.
+//
+// A segment is stable once its sentence has ended. Long sentences are also
+// cut at their last clause boundary, so a speaker who never pauses still
+// gets translated piece by piece.
+
+const SENTENCE_END_REGEX = /[.!?…]+["'”’)\]]*\s+|[。！？]+/u;
+const CLAUSE_END_REGEX = /[,;:]\s+|[，；、：]/gu;
+const DEFAULT_MAX_PENDING_LENGTH = 120;
+
+export class StableSegmenter {
+    constructor({ maxPendingLength = DEFAULT_MAX_PENDING_LENGTH } = {}) {
+        this.maxPendingLength = maxPendingLength;
+        this.stableLength = 0;
+    }
+
+    // `text` is the whole transcript so far. Returns the segments that became
+    // stable since the last call and the text that is still pending.
+    update(text) {
+        const segments = [];
+        let rest = text.slice(this.stableLength);
+        let boundary;
+        while ((boundary = findBoundary(rest, this.maxPendingLength)) > 0) {
+            const segment = rest.slice(0, boundary).trim();
+            if (segment) {
+                segments.push(segment);
+            }
+            this.stableLength += boundary;
+            rest = rest.slice(boundary);
+        }
+        return { segments, pending: rest.trim() };
+    }
+}
+
+function findBoundary(text, maxPendingLength) {
+    const sentenceEnd = SENTENCE_END_REGEX.exec(text);
+    if (sentenceEnd) {
+        return sentenceEnd.index + sentenceEnd[0].length;
+    }
+    if (text.length > maxPendingLength) {
+        const clauseEnd = Array.from(text.matchAll(CLAUSE_END_REGEX)).at(-1);
+        if (clauseEnd) {
+            return clauseEnd.index + clauseEnd[0].length;
+        }
+    }
+    return 0;
+}
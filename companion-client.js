@@ -0,0 +1,79 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { GoogleGenAI } from "@google/genai";
+import { trimSlashes } from './translation-providers.js';
+
+// Client for server/companion-server.mjs, which holds the Google AI API key
+// so the browser never sees it.
+//
+// `generateContent` calls go through the server's proxy, and every live
+// session is opened with a single-use token issued by the server. The
+// server URL is remembered; the personal access token only lasts for the
+// browser session.
+
+const SERVER_URL_STORAGE_KEY = 'companionServerUrl';
+const ACCESS_TOKEN_STORAGE_KEY = 'companionAccessToken';
+
+export class CompanionServerError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'CompanionServerError';
+        this.status = status;
+    }
+}
+
+// Returns `{ serverUrl, accessToken }`, or null if the app is not set up to use a server.
+export function loadCompanionSettings() {
+    const serverUrl = localStorage.getItem(SERVER_URL_STORAGE_KEY);
+    const accessToken = sessionStorage.getItem(ACCESS_TOKEN_STORAGE_KEY);
+    return serverUrl ? { serverUrl, accessToken } : null;
+}
+
+export function saveCompanionSettings({ serverUrl, accessToken }) {
+    localStorage.setItem(SERVER_URL_STORAGE_KEY, serverUrl);
+    sessionStorage.setItem(ACCESS_TOKEN_STORAGE_KEY, accessToken);
+}
+
+export function clearCompanionSettings() {
+    localStorage.removeItem(SERVER_URL_STORAGE_KEY);
+    sessionStorage.removeItem(ACCESS_TOKEN_STORAGE_KEY);
+}
+
+// A client for `ai.models` calls. The SDK sends the access token in place of
+// an API key, and the server swaps in the real one.
+export function createCompanionAi({ serverUrl, accessToken }) {
+    return new GoogleGenAI({
+        apiKey: accessToken,
+        httpOptions: { baseUrl: `${trimSlashes(serverUrl)}/gemini` },
+    });
+}
+
+// A client that can open exactly one live session.
+export async function createLiveAi(settings) {
+    const { token } = await request(settings, 'POST', '/api/live-token');
+    return new GoogleGenAI({ apiKey: token, httpOptions: { apiVersion: 'v1alpha' } });
+}
+
+// Checks the access token. Resolves to `{ user, usage, limits }`.
+export function getCompanionUsage(settings) {
+    return request(settings, 'GET', '/api/usage');
+}
+
+async function request({ serverUrl, accessToken }, method, path) {
+    let response;
+    try {
+        response = await fetch(`${trimSlashes(serverUrl)}${path}`, {
+            method,
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+        });
+    } catch (e) {
+        throw new CompanionServerError(`The server at ${serverUrl} could not be reached.`);
+    }
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        throw new CompanionServerError(data?.error?.message ?? `The server answered with status ${response.status}.`, response.status);
+    }
+    return data;
+}
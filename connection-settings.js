@@ -0,0 +1,193 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Signalling server and ICE (STUN/TURN) configuration for PeerJS.
+//
+// Settings are `{ peerServer: { host, port, path, key, secure }, iceServers, relayOnly }`.
+// An empty `peerServer.host` means the public PeerJS cloud broker, and
+// `iceServers` are RTCIceServer objects.
+
+const SETTINGS_STORAGE_KEY = 'connectionSettings';
+const ICE_URL_REGEX = /^(stun|stuns|turn|turns):[^\s]+$/i;
+const PROBE_TIMEOUT_MS = 8000;
+
+export const DEFAULT_ICE_SERVERS = [
+    { urls: 'stun:stun.l.google.com:19302' },
+    { urls: 'stun:stun1.l.google.com:19302' },
+];
+
+export function loadConnectionSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.error("Failed to read connection settings:", e);
+    }
+    return {
+        peerServer: {
+            host: stored.peerServer?.host ?? '',
+            port: stored.peerServer?.port ?? '',
+            path: stored.peerServer?.path ?? '/',
+            key: stored.peerServer?.key ?? 'peerjs',
+            secure: stored.peerServer?.secure ?? true,
+        },
+        iceServers: Array.isArray(stored.iceServers) ? stored.iceServers : DEFAULT_ICE_SERVERS,
+        relayOnly: Boolean(stored.relayOnly),
+    };
+}
+
+export function saveConnectionSettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+export function getRtcConfiguration({ iceServers, relayOnly }) {
+    return {
+        iceServers,
+        iceTransportPolicy: relayOnly ? 'relay' : 'all',
+    };
+}
+
+// Options for `new Peer(id, options)`.
+export function getPeerOptions(settings) {
+    const options = { config: getRtcConfiguration(settings) };
+    const { host, port, path, key, secure } = settings.peerServer;
+    if (host) {
+        Object.assign(options, {
+            host,
+            port: Number(port) || (secure ? 443 : 80),
+            path: path || '/',
+            key: key || 'peerjs',
+            secure,
+        });
+    }
+    return options;
+}
+
+// ICE servers are edited as text, one server per line:
+//
+//     turn:turn.example.com:3478,turns:turn.example.com:5349 username credential
+//
+// Returns the parsed servers and a message for every line that is not valid.
+export function parseIceServers(text) {
+    const iceServers = [];
+    const errors = [];
+    text.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) return;
+
+        const [urlList, username, ...credentialParts] = line.split(/\s+/);
+        const urls = urlList.split(',').filter(Boolean);
+        const invalidUrl = urls.find(url => !ICE_URL_REGEX.test(url));
+        if (invalidUrl) {
+            errors.push(`Line ${index + 1}: "${invalidUrl}" is not a stun:, stuns:, turn: or turns: URL.`);
+            return;
+        }
+        const isTurn = urls.some(url => /^turns?:/i.test(url));
+        const credential = credentialParts.join(' ');
+        if (isTurn && (!username || !credential)) {
+            errors.push(`Line ${index + 1}: TURN servers need a username and a credential.`);
+            return;
+        }
+        iceServers.push({
+            urls: urls.length === 1 ? urls[0] : urls,
+            ...(username ? { username, credential } : {}),
+        });
+    });
+    return { iceServers, errors };
+}
+
+export function formatIceServers(iceServers) {
+    return iceServers.map(({ urls, username, credential }) => {
+        const urlList = Array.isArray(urls) ? urls.join(',') : urls;
+        return [urlList, username, credential].filter(Boolean).join(' ');
+    }).join('\n');
+}
+
+export function hasTurnServer(iceServers) {
+    return iceServers.some(({ urls }) => [urls].flat().some(url => /^turns?:/i.test(url)));
+}
+
+// Gathers ICE candidates with the given settings and counts them by type
+// ('host', 'srflx', 'prflx', 'relay'). Server errors, such as rejected TURN
+// credentials, are collected as messages.
+export async function probeIceCandidates(settings, timeoutMs = PROBE_TIMEOUT_MS) {
+    const counts = { host: 0, srflx: 0, prflx: 0, relay: 0 };
+    const serverErrors = [];
+    const pc = new RTCPeerConnection(getRtcConfiguration(settings));
+    try {
+        const gathered = new Promise(resolve => {
+            const timeout = setTimeout(resolve, timeoutMs);
+            pc.addEventListener('icecandidate', ({ candidate }) => {
+                if (!candidate) {
+                    clearTimeout(timeout);
+                    resolve();
+                    return;
+                }
+                // `candidate.type` is missing in some browsers, so read it from the SDP line.
+                const type = candidate.type ?? /\btyp (\w+)/.exec(candidate.candidate)?.[1];
+                if (type in counts) {
+                    counts[type]++;
+                }
+            });
+            pc.addEventListener('icecandidateerror', (event) => {
+                serverErrors.push(`${event.url}: ${event.errorCode} ${event.errorText}`.trim());
+            });
+        });
+        // A data channel is enough to make the connection gather candidates.
+        pc.createDataChannel('probe');
+        await pc.setLocalDescription(await pc.createOffer());
+        await gathered;
+    } finally {
+        pc.close();
+    }
+    return { counts, serverErrors };
+}
+
+// Checks that the signalling server answers and that the ICE servers produce
+// usable candidates. `errors` mean a meeting cannot work with these settings;
+// `warnings` mean it may only work on some networks.
+export async function checkConnectionSettings(settings) {
+    const errors = [];
+    const warnings = [];
+
+    if (settings.peerServer.host) {
+        const error = await checkPeerServer(getPeerOptions(settings));
+        if (error) {
+            errors.push(error);
+        }
+    }
+
+    const hasTurn = hasTurnServer(settings.iceServers);
+    if (settings.relayOnly && !hasTurn) {
+        errors.push('Relay-only mode needs at least one TURN server.');
+        return { errors, warnings, counts: null };
+    }
+
+    const { counts, serverErrors } = await probeIceCandidates(settings);
+    if (hasTurn && counts.relay === 0) {
+        const message = `No TURN relay could be reached${serverErrors.length ? ` (${serverErrors.join('; ')})` : ''}.`;
+        (settings.relayOnly ? errors : warnings).push(message);
+    }
+    if (!settings.relayOnly && settings.iceServers.length > 0 && counts.srflx === 0 && counts.relay === 0) {
+        warnings.push('No STUN or TURN server answered. Only participants on the same network will be able to connect.');
+    }
+    return { errors, warnings, counts };
+}
+
+// Requests a peer ID from the PeerJS server, as the PeerJS client does on connect.
+async function checkPeerServer({ host, port, path, key, secure }) {
+    const normalizedPath = `/${path}/`.replace(/\/+/g, '/');
+    const url = `${secure ? 'https' : 'http'}://${host}:${port}${normalizedPath}${encodeURIComponent(key)}/id?ts=${Date.now()}`;
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+        if (!response.ok) {
+            return `The PeerJS server at ${host} answered with status ${response.status}.`;
+        }
+        return null;
+    } catch (e) {
+        console.error("PeerJS server check failed:", e);
+        return `The PeerJS server at ${host} could not be reached.`;
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { LANGUAGES } from './languages.js';
+
+// Fixed translations for technical terms and product names.
+//
+// An entry is `{ id, sourceLang, sourceTerm, targetLang, targetTerm }` with
+// language names from languages.js. An entry whose target term equals its
+// source term keeps a name untranslated. Matching is case-insensitive and
+// only on whole words.
+
+const GLOSSARY_STORAGE_KEY = 'translationGlossary';
+const CSV_COLUMNS = ['source_lang', 'source_term', 'target_lang', 'target_term'];
+const PLACEHOLDER_REGEX = /⟦\s*G\s*(\d+)\s*⟧/g;
+
+export function loadGlossary() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(GLOSSARY_STORAGE_KEY));
+        return Array.isArray(stored) ? stored.filter(isValidEntry) : [];
+    } catch (e) {
+        console.error("Failed to read glossary:", e);
+        return [];
+    }
+}
+
+export function saveGlossary(entries) {
+    localStorage.setItem(GLOSSARY_STORAGE_KEY, JSON.stringify(entries));
+}
+
+export function createGlossaryEntry({ sourceLang, sourceTerm, targetLang, targetTerm }) {
+    return {
+        id: crypto.randomUUID(),
+        sourceLang,
+        sourceTerm: sourceTerm.trim(),
+        targetLang,
+        targetTerm: targetTerm.trim(),
+    };
+}
+
+// Adds `newEntries` to `entries`, replacing entries for the same term and
+// language pair. Returns the merged list.
+export function mergeGlossaryEntries(entries, newEntries) {
+    const merged = new Map(entries.map(entry => [getEntryKey(entry), entry]));
+    newEntries.forEach(entry => {
+        const key = getEntryKey(entry);
+        merged.set(key, { ...entry, id: merged.get(key)?.id ?? entry.id });
+    });
+    return Array.from(merged.values());
+}
+
+// Terms of `entries` that occur in `text` and apply to the given language pair,
+// as `{ sourceTerm, targetTerm }` with the longest terms first. `sourceLang`
+// may be null when the speaker has not announced their language yet.
+export function findGlossaryMatches(entries, text, sourceLang, targetLang) {
+    const matches = new Map();
+    entries
+        .filter(entry => entry.targetLang === targetLang && (!sourceLang || entry.sourceLang === sourceLang))
+        .sort((a, b) => b.sourceTerm.length - a.sourceTerm.length)
+        .forEach(entry => {
+            const key = entry.sourceTerm.toLocaleLowerCase();
+            if (!matches.has(key) && createTermRegex([entry.sourceTerm]).test(text)) {
+                matches.set(key, { sourceTerm: entry.sourceTerm, targetTerm: entry.targetTerm });
+            }
+        });
+    return Array.from(matches.values());
+}
+
+// Splits `text` into `{ text, term }` segments, where `term` is set for the
+// parts that are one of `terms`. Used to highlight glossary terms.
+export function splitByTerms(text, terms) {
+    const uniqueTerms = Array.from(new Set(terms.filter(Boolean))).sort((a, b) => b.length - a.length);
+    if (!text || uniqueTerms.length === 0) return [{ text, term: null }];
+
+    const regex = createTermRegex(uniqueTerms, 'g');
+    const segments = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(regex)) {
+        if (match.index > lastIndex) {
+            segments.push({ text: text.slice(lastIndex, match.index), term: null });
+        }
+        const term = uniqueTerms.find(candidate => candidate.toLocaleLowerCase() === match[0].toLocaleLowerCase()) ?? match[0];
+        segments.push({ text: match[0], term });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+        segments.push({ text: text.slice(lastIndex), term: null });
+    }
+    return segments;
+}
+
+// For translators that take no instructions: swaps the matched terms for
+// placeholders and returns a function that puts the target terms in their place.
+export function protectGlossaryTerms(text, matches) {
+    if (matches.length === 0) {
+        return { text, restore: (translation) => translation };
+    }
+    const regex = createTermRegex(matches.map(match => match.sourceTerm), 'g');
+    const protectedText = text.replace(regex, (found) => {
+        const index = matches.findIndex(match => match.sourceTerm.toLocaleLowerCase() === found.toLocaleLowerCase());
+        return `⟦G${index}⟧`;
+    });
+    const restore = (translation) => translation.replace(PLACEHOLDER_REGEX, (placeholder, index) => {
+        return matches[Number(index)]?.targetTerm ?? placeholder;
+    });
+    return { text: protectedText, restore };
+}
+
+export function glossaryToCsv(entries) {
+    const rows = entries.map(entry => [entry.sourceLang, entry.sourceTerm, entry.targetLang, entry.targetTerm]);
+    // The byte order mark makes spreadsheet applications read the file as UTF-8.
+    return '\uFEFF' + [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Parses a CSV export back into entries. Languages may be given by name or
+// by code. Returns the parsed entries and the numbers of the rows that were skipped.
+export function glossaryFromCsv(csv) {
+    const rows = parseCsv(csv.replace(/^\uFEFF/, ''));
+    const header = rows[0]?.map(cell => cell.trim().toLowerCase());
+    const hasHeader = header && CSV_COLUMNS.every(column => header.includes(column));
+    const columnIndexes = hasHeader
+        ? CSV_COLUMNS.map(column => header.indexOf(column))
+        : CSV_COLUMNS.map((column, index) => index);
+
+    const entries = [];
+    const skippedRows = [];
+    rows.slice(hasHeader ? 1 : 0).forEach((row, index) => {
+        if (row.every(cell => !cell.trim())) return;
+        const [sourceLang, sourceTerm, targetLang, targetTerm] = columnIndexes.map(columnIndex => (row[columnIndex] ?? '').trim());
+        const entry = {
+            sourceLang: findLanguageName(sourceLang),
+            sourceTerm,
+            targetLang: findLanguageName(targetLang),
+            targetTerm,
+        };
+        if (isValidEntry({ ...entry, id: 'new' })) {
+            entries.push(createGlossaryEntry(entry));
+        } else {
+            skippedRows.push(index + (hasHeader ? 2 : 1));
+        }
+    });
+    return { entries, skippedRows };
+}
+
+function isValidEntry(entry) {
+    return Boolean(entry && entry.id && entry.sourceTerm && entry.targetTerm
+        && findLanguageName(entry.sourceLang) && findLanguageName(entry.targetLang));
+}
+
+function getEntryKey(entry) {
+    return [entry.sourceLang, entry.sourceTerm.toLocaleLowerCase(), entry.targetLang].join('\u0000');
+}
+
+function findLanguageName(value) {
+    if (!value) return null;
+    const normalized = value.toLowerCase();
+    const language = LANGUAGES.find(({ name, code }) => name.toLowerCase() === normalized || code.toLowerCase() === normalized);
+    return language?.name ?? null;
+}
+
+function createTermRegex(terms, flags = '') {
+    const alternatives = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, `iu${flags}`);
+}
+
+function escapeCsvField(value) {
+    return /[",;\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function parseCsv(csv) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < csv.length; i++) {
+        const char = csv[i];
+        if (inQuotes) {
+            if (char === '"' && csv[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',' || char === ';') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && csv[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
@@ -1,14 +1,39 @@
-
 /**
  * @license
  * SPDX-License-Identifier: Apache-2.0
  */
-import Peer from 'peerjs';
-import { GoogleGenAI, Modality } from "@google/genai";
+import { GoogleGenAI } from "@google/genai";
+import { EXPORT_FORMATS, formatTranscript } from './transcript-export.js';
+import { TRANSLATION_PROVIDERS, loadTranslationSettings, saveTranslationSettings } from './translation-providers.js';
+import { DEFAULT_VAD_OPTIONS } from './voice-activity.js';
+import { isSpeechSupported, getVoicesForLanguage, onVoicesChanged, speak, cancelSpeech } from './speech-output.js';
+import { LANGUAGES, getLanguageCode } from './languages.js';
+import { loadGlossary, saveGlossary, createGlossaryEntry, mergeGlossaryEntries, splitByTerms, glossaryToCsv, glossaryFromCsv } from './glossary.js';
+import { generateMeetingSummary, formatSummaryMarkdown } from './meeting-summary.js';
+import { loadConnectionSettings, saveConnectionSettings, parseIceServers, formatIceServers, hasTurnServer, checkConnectionSettings } from './connection-settings.js';
+import { loadCompanionSettings, saveCompanionSettings, createCompanionAi, getCompanionUsage, CompanionServerError } from './companion-client.js';
+import { MeetingRecorder, isRecordingSupported } from './meeting-recorder.js';
+import { StableSegmenter } from './caption-segments.js';
+import { VIDEO_QUALITY_LEVELS } from './call-stats.js';
+import { TranslationCache } from './translation-cache.js';
+import { loadDevicePreferences, saveDevicePreferences, listMediaDevices, openMediaStream, createLevelMeter } from './media-devices.js';
+import { saveMeeting, getMeeting, saveLine, listMeetings, getMeetingLines, searchHistory, deleteMeeting } from './meeting-history.js';
+import { MeetingSession } from './meeting-session.js';
 
 // --- State Variables ---
 let ai;
 const API_KEY_STORAGE_KEY = 'googleAiApiKey';
+const CAPTURE_SETTINGS_STORAGE_KEY = 'captureSettings';
+const SPEECH_SETTINGS_STORAGE_KEY = 'speechSettings';
+const LANGUAGE_SETTINGS_STORAGE_KEY = 'languageSettings';
+// How long a finished utterance stays on screen as a caption.
+const CAPTION_HOLD_MS = 5000;
+// Captions show the end of long utterances only.
+const CAPTION_MAX_LENGTH = 160;
+// How many call stats samples per participant the diagnostics report keeps.
+const MAX_STATS_SAMPLES = 300;
+// Volume of a participant's original audio while their translation is spoken.
+const DUCKED_VOLUME = 0.2;
 
 // --- Core Application Logic ---
 document.addEventListener('DOMContentLoaded', () => {
@@ -19,6 +44,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const apiKeyInput = document.getElementById('api-key-input');
     const setApiKeyBtn = document.getElementById('set-api-key-btn');
     const apiKeyError = document.getElementById('api-key-error');
+    const companionServerUrlInput = document.getElementById('companion-server-url-input');
+    const companionTokenInput = document.getElementById('companion-token-input');
+    const companionConnectBtn = document.getElementById('companion-connect-btn');
     const mainContainer = document.getElementById('main-container');
 
     const setupControls = document.getElementById('setup-controls');
@@ -34,38 +62,167 @@ document.addEventListener('DOMContentLoaded', () => {
     const statusIndicator = document.getElementById('status');
     const statusText = statusIndicator.querySelector('.status-text');
     const transcriptionPanel = document.getElementById('transcription-panel');
+    const exportFormatSelect = document.getElementById('export-format-select');
+    const exportTranscriptBtn = document.getElementById('export-transcript-btn');
+    const summarizeBtn = document.getElementById('summarize-btn');
+    const summaryPanel = document.getElementById('summary-panel');
+    const summaryLanguageSelect = document.getElementById('summary-language-select');
+    const copySummaryBtn = document.getElementById('copy-summary-btn');
+    const downloadSummaryBtn = document.getElementById('download-summary-btn');
+    const closeSummaryBtn = document.getElementById('close-summary-btn');
+    const summaryContent = document.getElementById('summary-content');
+    const endMeetingDialog = document.getElementById('end-meeting-dialog');
     const errorContainer = document.getElementById('error-container');
     
+    const passcodeInput = document.getElementById('passcode-input');
+    const lobbyInput = document.getElementById('lobby-input');
+    const lobbyPanel = document.getElementById('lobby-panel');
+    const lobbyList = document.getElementById('lobby-list');
+    const callContainer = document.getElementById('call-container');
     const localParticipant = document.getElementById('local-participant');
-    const remoteParticipant = document.getElementById('remote-participant');
+    const remotePlaceholder = document.getElementById('remote-placeholder');
+    const participantTemplate = document.getElementById('participant-template');
     const userVideo = document.getElementById('user-video');
-    const remoteVideo = document.getElementById('remote-video');
     
+    const audioInputSelect = document.getElementById('audio-input-select');
+    const videoInputSelect = document.getElementById('video-input-select');
+    const audioOnlyInput = document.getElementById('audio-only-input');
+    const micLevelBar = document.getElementById('mic-level-bar');
+    const previewDevicesBtn = document.getElementById('preview-devices-btn');
+    const deviceStatus = document.getElementById('device-status');
+    const muteBtn = document.getElementById('mute-btn');
+    const cameraBtn = document.getElementById('camera-btn');
+    const shareScreenBtn = document.getElementById('share-screen-btn');
+    const recordBtn = document.getElementById('record-btn');
+    const speakTranslationsBtn = document.getElementById('speak-translations-btn');
     const talkBtn = document.getElementById('talk-btn');
+    const talkHint = document.getElementById('talk-hint');
+    const chatForm = document.getElementById('chat-form');
+    const chatInput = document.getElementById('chat-input');
+    const captureModeSelect = document.getElementById('capture-mode-select');
+    const reviewBeforeSendInput = document.getElementById('review-before-send-input');
+    const reviewForm = document.getElementById('review-form');
+    const reviewInput = document.getElementById('review-input');
+    const reviewQueueStatus = document.getElementById('review-queue-status');
+    const reviewDiscardBtn = document.getElementById('review-discard-btn');
+    const vadSettings = document.getElementById('vad-settings');
+    const vadSensitivityInput = document.getElementById('vad-sensitivity-input');
+    const vadSensitivityValue = document.getElementById('vad-sensitivity-value');
+    const vadSilenceInput = document.getElementById('vad-silence-input');
+    const vadSilenceValue = document.getElementById('vad-silence-value');
+    const chunkSizeSelect = document.getElementById('chunk-size-select');
     const nameInput = document.getElementById('name-input');
     const localNameTag = document.getElementById('local-name-tag');
-    const remoteNameTag = document.getElementById('remote-name-tag');
 
-    const sourceLangSelect = document.getElementById('source-lang');
-    const targetLangSelect = document.getElementById('target-lang');
+    const historySection = document.getElementById('history-section');
+    const historySearchInput = document.getElementById('history-search-input');
+    const historyListView = document.getElementById('history-list-view');
+    const historyList = document.getElementById('history-list');
+    const historyViewer = document.getElementById('history-viewer');
+    const historyViewerTitle = document.getElementById('history-viewer-title');
+    const historyTranscript = document.getElementById('history-transcript');
+    const historyBackBtn = document.getElementById('history-back-btn');
+    const historyDeleteBtn = document.getElementById('history-delete-btn');
+
+    const translationProviderSelect = document.getElementById('translation-provider-select');
+    const translationProviderFields = document.getElementById('translation-provider-fields');
+    const clearTranslationCacheBtn = document.getElementById('clear-translation-cache-btn');
+    const translationCacheStatus = document.getElementById('translation-cache-status');
+    const translationUsageDisplay = document.getElementById('translation-usage');
+    const peerServerHostInput = document.getElementById('peer-server-host-input');
+    const peerServerPortInput = document.getElementById('peer-server-port-input');
+    const peerServerPathInput = document.getElementById('peer-server-path-input');
+    const peerServerKeyInput = document.getElementById('peer-server-key-input');
+    const peerServerSecureInput = document.getElementById('peer-server-secure-input');
+    const iceServersInput = document.getElementById('ice-servers-input');
+    const relayOnlyInput = document.getElementById('relay-only-input');
+    const testConnectionBtn = document.getElementById('test-connection-btn');
+    const connectionTestResult = document.getElementById('connection-test-result');
+    const diagnosticsSection = document.getElementById('diagnostics-section');
+    const diagnosticsTableBody = document.getElementById('diagnostics-table-body');
+    const downloadDiagnosticsBtn = document.getElementById('download-diagnostics-btn');
+    const glossaryForm = document.getElementById('glossary-form');
+    const glossarySourceLangSelect = document.getElementById('glossary-source-lang');
+    const glossarySourceTermInput = document.getElementById('glossary-source-term');
+    const glossaryTargetLangSelect = document.getElementById('glossary-target-lang');
+    const glossaryTargetTermInput = document.getElementById('glossary-target-term');
+    const glossaryFilterSelect = document.getElementById('glossary-filter-select');
+    const glossaryImportBtn = document.getElementById('glossary-import-btn');
+    const glossaryImportInput = document.getElementById('glossary-import-input');
+    const glossaryExportBtn = document.getElementById('glossary-export-btn');
+    const glossaryImportStatus = document.getElementById('glossary-import-status');
+    const glossaryList = document.getElementById('glossary-list');
+
+    const spokenLangSelect = document.getElementById('spoken-lang');
+    const readingLangSelect = document.getElementById('reading-lang');
 
     // --- State Variables ---
     let isMeetingActive = false;
-    let isTalking = false;
-    let sessionPromise = null;
-    let mediaStream = null;
-    let audioContext = null;
-    let audioSourceNode = null;
-    let scriptProcessor = null;
-    let peer = null;
-    let dataConnection = null;
+    // The peer connections, live transcription and translation of the meeting
+    // in progress, or of the last one, see startMeeting().
+    let meetingSession = null;
+    // Camera and microphone test before joining; handed over to the meeting.
+    let previewStream = null;
+    let levelMeter = null;
+    let devicePreferences = loadDevicePreferences();
+    let meetingRecorder = null;
     let meetingId = null;
     let localName = 'Conbello Textile';
-    let remoteName = 'Participant';
 
-    let localTranscriptionBuffer = '';
-    let finalizationTimeout = null;
+    // Notable events (quality changes, reconnects) are kept for the diagnostics report.
+    let diagnosticsEvents = [];
+    // Samples per peer ID as `{ peerId, name, samples }`. Kept after the meeting
+    // so the report can still be downloaded once a bad call has ended.
+    let callStatsHistory = new Map();
+
+    // Tiles of the remote participants keyed by PeerJS peer ID, with what is
+    // shown in them. Their connections are kept by meetingSession.
+    const participants = new Map();
+    // Admit/deny prompts of peers waiting in the lobby, keyed by peer ID.
+    const lobbyPrompts = new Map();
+
+    // Finished utterances waiting to be confirmed or discarded, oldest first.
+    let pendingReviews = [];
+
+    // Structured transcript of the current (or last) meeting. It outlives
+    // `endMeeting` so it can still be exported after the call.
+    let transcriptLines = [];
+    let transcriptMeetingId = null;
+    let meetingStartedAt = null;
+    // Lines in the transcript panel by line ID, as
+    // `{ line, lineEl, originalTextSpan, translatedTextSpan, editBtn }`.
+    let lineViews = new Map();
+    // Remote speech lines to read out once translated, by line ID.
+    const linesToSpeak = new Set();
+
+    // Markdown summaries of the transcript, one `{ language, markdown }` per meeting language.
+    let summaries = [];
+    let summaryMeta = null;
+    let isSummarizing = false;
+
+    // 'push-to-talk' or 'hands-free'; hands-free opens utterances via voice activity detection.
+    let captureSettings = loadCaptureSettings();
+
+    // `participants` maps participant names to their voice and volume, so the
+    // choice is remembered for the next meeting with the same person.
+    let speechSettings = loadSpeechSettings();
+
+    let translationSettings = loadTranslationSettings();
+    // Shared by every meeting's session.
+    const translationCache = new TranslationCache();
+    // Usage of the meeting in progress, as reported by its session.
+    let translationUsage = { requests: 0, characters: 0, cacheHits: 0, failures: 0 };
+    let glossaryEntries = loadGlossary();
+    let connectionSettings = loadConnectionSettings();
+    // Set when the app uses the companion server instead of an API key.
+    let companionSettings = null;
+
+    // History record of the meeting in progress, mirrored to IndexedDB.
+    let currentMeetingRecord = null;
+    let viewedHistoryMeetingId = null;
+    let historySearchTimeout = null;
     
+
     // --- App Initialization ---
     initializeApp();
 
@@ -76,11 +233,76 @@ document.addEventListener('DOMContentLoaded', () => {
             handleApiKeySubmit();
         }
     });
+    companionConnectBtn.addEventListener('click', handleCompanionConnect);
+    companionTokenInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            handleCompanionConnect();
+        }
+    });
    
     createMeetingBtn.addEventListener('click', createMeeting);
     joinMeetingBtn.addEventListener('click', joinMeeting);
-    endMeetingBtn.addEventListener('click', endMeeting);
+    endMeetingBtn.addEventListener('click', requestEndMeeting);
+    endMeetingDialog.addEventListener('close', () => {
+        if (endMeetingDialog.returnValue === 'summarize') {
+            endMeeting();
+            summarizeMeeting();
+        } else if (endMeetingDialog.returnValue === 'end') {
+            endMeeting();
+        }
+    });
     copyIdBtn.addEventListener('click', copyInvitationLink);
+    exportTranscriptBtn.addEventListener('click', exportTranscript);
+    summarizeBtn.addEventListener('click', summarizeMeeting);
+    summaryLanguageSelect.addEventListener('change', renderSummary);
+    copySummaryBtn.addEventListener('click', copySummary);
+    downloadSummaryBtn.addEventListener('click', downloadSummary);
+    closeSummaryBtn.addEventListener('click', () => {
+        summaryPanel.style.display = 'none';
+    });
+
+    historySection.addEventListener('toggle', () => {
+        if (historySection.open) {
+            refreshHistoryList();
+        }
+    });
+    historySearchInput.addEventListener('input', () => {
+        clearTimeout(historySearchTimeout);
+        historySearchTimeout = setTimeout(refreshHistoryList, 250);
+    });
+    translationProviderSelect.addEventListener('change', () => {
+        translationSettings.providerId = translationProviderSelect.value;
+        renderTranslationProviderFields();
+        applyTranslationSettings();
+    });
+
+    diagnosticsSection.addEventListener('toggle', () => {
+        if (diagnosticsSection.open) {
+            renderDiagnostics();
+        }
+    });
+    downloadDiagnosticsBtn.addEventListener('click', downloadDiagnosticsReport);
+
+    clearTranslationCacheBtn.addEventListener('click', () => {
+        translationCache.clear();
+        updateTranslationCacheStatus();
+    });
+
+    [peerServerHostInput, peerServerPortInput, peerServerPathInput, peerServerKeyInput, peerServerSecureInput, iceServersInput, relayOnlyInput]
+        .forEach(input => input.addEventListener('change', updateConnectionSettings));
+    testConnectionBtn.addEventListener('click', testConnectionSettings);
+
+    glossaryForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        addGlossaryEntry();
+    });
+    glossaryFilterSelect.addEventListener('change', renderGlossaryList);
+    glossaryImportBtn.addEventListener('click', () => glossaryImportInput.click());
+    glossaryImportInput.addEventListener('change', importGlossary);
+    glossaryExportBtn.addEventListener('click', exportGlossary);
+
+    historyBackBtn.addEventListener('click', closeHistoryMeeting);
+    historyDeleteBtn.addEventListener('click', deleteViewedHistoryMeeting);
 
     nameInput.addEventListener('input', () => {
         localName = nameInput.value.trim() || 'Conbello Textile';
@@ -88,34 +310,120 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // Push-to-Talk Listeners
-    talkBtn.addEventListener('mousedown', startTranscribing);
-    talkBtn.addEventListener('mouseup', stopTranscribing);
-    talkBtn.addEventListener('mouseleave', stopTranscribing); // In case mouse slides off
-    talkBtn.addEventListener('touchstart', (e) => { e.preventDefault(); startTranscribing(); }, { passive: false });
-    talkBtn.addEventListener('touchend', (e) => { e.preventDefault(); stopTranscribing(); });
+    talkBtn.addEventListener('mousedown', pushToTalkStart);
+    talkBtn.addEventListener('mouseup', pushToTalkStop);
+    talkBtn.addEventListener('mouseleave', pushToTalkStop); // In case mouse slides off
+    talkBtn.addEventListener('touchstart', (e) => { e.preventDefault(); pushToTalkStart(); }, { passive: false });
+    talkBtn.addEventListener('touchend', (e) => { e.preventDefault(); pushToTalkStop(); });
     
     window.addEventListener('keydown', (e) => {
-        if (e.code === 'Space' && !e.repeat && isMeetingActive) {
+        if (e.code === 'Space' && !e.repeat && isMeetingActive && isPushToTalk() && !isTypingTarget(e.target)) {
             e.preventDefault();
-            startTranscribing();
+            meetingSession.startTalking();
         }
     });
     window.addEventListener('keyup', (e) => {
-        if (e.code === 'Space' && isMeetingActive) {
+        if (e.code === 'Space' && isMeetingActive && isPushToTalk() && !isTypingTarget(e.target)) {
+            e.preventDefault();
+            meetingSession.stopTalking();
+        }
+    });
+
+    audioInputSelect.addEventListener('change', () => handleDeviceSelection('audioInputId', audioInputSelect.value));
+    videoInputSelect.addEventListener('change', () => handleDeviceSelection('videoInputId', videoInputSelect.value));
+    audioOnlyInput.addEventListener('change', () => handleDeviceSelection('audioOnly', audioOnlyInput.checked));
+    previewDevicesBtn.addEventListener('click', () => {
+        if (previewStream) {
+            stopDevicePreview();
+        } else {
+            startDevicePreview();
+        }
+    });
+    navigator.mediaDevices?.addEventListener('devicechange', refreshDeviceLists);
+    muteBtn.addEventListener('click', toggleMute);
+    cameraBtn.addEventListener('click', () => setCameraEnabled(!hasCamera()));
+
+    shareScreenBtn.addEventListener('click', () => {
+        if (meetingSession?.screenStream) {
+            meetingSession.stopScreenShare();
+        } else {
+            startScreenShare();
+        }
+    });
+    recordBtn.addEventListener('click', () => {
+        if (meetingRecorder) {
+            stopRecording();
+        } else {
+            startRecording();
+        }
+    });
+    speakTranslationsBtn.addEventListener('click', toggleSpokenTranslations);
+    chatForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        sendChatMessage();
+    });
+    reviewForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        sendReviewedUtterance();
+    });
+    reviewDiscardBtn.addEventListener('click', discardReviewedUtterance);
+    reviewInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
-            stopTranscribing();
+            reviewForm.requestSubmit();
+        } else if (e.key === 'Escape') {
+            discardReviewedUtterance();
         }
     });
+    onVoicesChanged(() => participants.forEach(populateVoiceSelect));
+
+    // Language Listeners
+    spokenLangSelect.addEventListener('change', handleLanguageChange);
+    readingLangSelect.addEventListener('change', handleLanguageChange);
+
+    // Hands-free Settings Listeners
+    captureModeSelect.addEventListener('change', () => {
+        captureSettings.mode = captureModeSelect.value;
+        saveCaptureSettings();
+        applyCaptureMode();
+    });
+    reviewBeforeSendInput.addEventListener('change', () => {
+        captureSettings.reviewBeforeSend = reviewBeforeSendInput.checked;
+        saveCaptureSettings();
+        applyCaptureSettings();
+    });
+    chunkSizeSelect.addEventListener('change', () => {
+        captureSettings.chunkMs = Number(chunkSizeSelect.value);
+        saveCaptureSettings();
+        applyCaptureSettings();
+    });
+    vadSensitivityInput.addEventListener('input', () => {
+        captureSettings.sensitivity = Number(vadSensitivityInput.value) / 100;
+        saveCaptureSettings();
+        applyCaptureSettings();
+        updateVadSettingsLabels();
+    });
+    vadSilenceInput.addEventListener('input', () => {
+        captureSettings.silenceTimeoutMs = Number(vadSilenceInput.value);
+        saveCaptureSettings();
+        applyCaptureSettings();
+        updateVadSettingsLabels();
+    });
 
 
     // --- Core App Logic ---
 
     function initializeApp() {
         const savedApiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+        const savedCompanionSettings = loadCompanionSettings();
         
-        if (savedApiKey) {
+        if (savedCompanionSettings?.accessToken) {
+            initializeCompanionAi(savedCompanionSettings);
+        } else if (savedApiKey) {
             initializeAi(savedApiKey);
         } else {
+            // The access token is only kept for the browser session; the server URL is remembered.
+            companionServerUrlInput.value = savedCompanionSettings?.serverUrl ?? '';
             apiKeySection.style.display = 'block';
             mainContainer.style.display = 'none';
         }
@@ -128,7 +436,69 @@ document.addEventListener('DOMContentLoaded', () => {
 
         localName = nameInput.value.trim() || 'Conbello Textile';
         localNameTag.textContent = localName;
-        remoteNameTag.textContent = remoteName;
+
+        const languageSettings = loadLanguageSettings();
+        [spokenLangSelect, readingLangSelect].forEach(select => {
+            LANGUAGES.forEach(({ name }) => select.add(new Option(name, name)));
+        });
+        spokenLangSelect.value = languageSettings.spokenLang;
+        readingLangSelect.value = languageSettings.readingLang;
+
+        Object.entries(TRANSLATION_PROVIDERS).forEach(([id, { label }]) => {
+            translationProviderSelect.add(new Option(label, id));
+        });
+        updateTranslationCacheStatus();
+        updateTranslationUsage();
+        captureModeSelect.value = captureSettings.mode;
+        reviewBeforeSendInput.checked = captureSettings.reviewBeforeSend;
+        chunkSizeSelect.value = captureSettings.chunkMs;
+        vadSensitivityInput.value = Math.round(captureSettings.sensitivity * 100);
+        vadSilenceInput.value = captureSettings.silenceTimeoutMs;
+        updateVadSettingsLabels();
+        applyCaptureMode();
+
+        audioOnlyInput.checked = devicePreferences.audioOnly;
+        refreshDeviceLists();
+
+        if (!navigator.mediaDevices?.getDisplayMedia) {
+            shareScreenBtn.style.display = 'none';
+        }
+        if (!isRecordingSupported()) {
+            recordBtn.style.display = 'none';
+        }
+
+        if (isSpeechSupported()) {
+            updateSpeakTranslationsButton();
+        } else {
+            speakTranslationsBtn.style.display = 'none';
+        }
+
+        translationProviderSelect.value = translationSettings.providerId;
+        renderTranslationProviderFields();
+        applyTranslationSettings();
+
+        const { peerServer, iceServers, relayOnly } = connectionSettings;
+        peerServerHostInput.value = peerServer.host;
+        peerServerPortInput.value = peerServer.port;
+        peerServerPathInput.value = peerServer.path;
+        peerServerKeyInput.value = peerServer.key;
+        peerServerSecureInput.checked = peerServer.secure;
+        iceServersInput.value = formatIceServers(iceServers);
+        relayOnlyInput.checked = relayOnly;
+
+        [glossarySourceLangSelect, glossaryTargetLangSelect].forEach(select => {
+            LANGUAGES.forEach(({ name }) => select.add(new Option(name, name)));
+        });
+        glossarySourceLangSelect.value = languageSettings.spokenLang;
+        glossaryTargetLangSelect.value = languageSettings.readingLang;
+        glossaryFilterSelect.add(new Option('All languages', ''));
+        LANGUAGES.forEach(({ name }) => glossaryFilterSelect.add(new Option(name, name)));
+        renderGlossaryList();
+
+        Object.entries(EXPORT_FORMATS).forEach(([id, { label }]) => {
+            exportFormatSelect.add(new Option(label, id));
+        });
+        updateExportControls();
     }
 
     function handleApiKeySubmit() {
@@ -141,6 +511,40 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    async function handleCompanionConnect() {
+        const settings = {
+            serverUrl: companionServerUrlInput.value.trim(),
+            accessToken: companionTokenInput.value.trim(),
+        };
+        if (!settings.serverUrl || !settings.accessToken) {
+            apiKeyError.textContent = "Please enter the server URL and your access token.";
+            apiKeyError.style.display = 'block';
+            return;
+        }
+        companionConnectBtn.disabled = true;
+        try {
+            await getCompanionUsage(settings);
+            saveCompanionSettings(settings);
+            initializeCompanionAi(settings);
+        } catch (e) {
+            console.error("Failed to connect to the companion server:", e);
+            apiKeyError.textContent = e instanceof CompanionServerError ? e.message : "Failed to connect to the server.";
+            apiKeyError.style.display = 'block';
+        } finally {
+            companionConnectBtn.disabled = false;
+        }
+    }
+
+    function initializeCompanionAi(settings) {
+        ai = createCompanionAi(settings);
+        companionSettings = settings;
+        // A key left over from the API key mode is no longer needed.
+        localStorage.removeItem(API_KEY_STORAGE_KEY);
+        apiKeySection.style.display = 'none';
+        mainContainer.style.display = 'flex';
+        apiKeyError.style.display = 'none';
+    }
+
     function initializeAi(apiKey, fromUserInput = false) {
         try {
             ai = new GoogleGenAI({ apiKey: apiKey });
@@ -161,19 +565,88 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
-    function getSystemInstruction() {
-        const sourceLang = sourceLangSelect.value;
-        const targetLang = targetLangSelect.value;
-        return `You are a machine translation service. Your ONLY function is to translate text between ${sourceLang} and ${targetLang}.
-- Detect the source language of the input text.
-- Provide a direct translation into the other language.
-- Your output MUST contain ONLY the translated text and nothing else.
-- Do NOT add any greetings, explanations, apologies, or any text that is not the direct translation.`;
+    function renderTranslationProviderFields() {
+        const { providerId, configs } = translationSettings;
+        const fields = TRANSLATION_PROVIDERS[providerId].fields.map(field => {
+            const group = document.createElement('div');
+            group.className = 'settings-field';
+
+            const input = document.createElement('input');
+            input.id = `translation-${providerId}-${field.id}`;
+            input.type = field.type;
+            input.value = configs[providerId][field.id];
+            input.addEventListener('change', () => {
+                configs[providerId][field.id] = input.value.trim();
+                applyTranslationSettings();
+            });
+
+            const label = document.createElement('label');
+            label.htmlFor = input.id;
+            label.textContent = `${field.label}:`;
+
+            group.appendChild(label);
+            group.appendChild(input);
+            return group;
+        });
+        translationProviderFields.replaceChildren(...fields);
+    }
+
+    function applyTranslationSettings() {
+        saveTranslationSettings(translationSettings);
+        meetingSession?.setTranslationSettings(translationSettings);
+    }
+
+    // Invalid STUN/TURN lines are reported and the last valid server list is kept.
+    function updateConnectionSettings() {
+        const { iceServers, errors } = parseIceServers(iceServersInput.value);
+        connectionSettings = {
+            peerServer: {
+                host: peerServerHostInput.value.trim(),
+                port: peerServerPortInput.value.trim(),
+                path: peerServerPathInput.value.trim() || '/',
+                key: peerServerKeyInput.value.trim() || 'peerjs',
+                secure: peerServerSecureInput.checked,
+            },
+            iceServers: errors.length > 0 ? connectionSettings.iceServers : iceServers,
+            relayOnly: relayOnlyInput.checked,
+        };
+        saveConnectionSettings(connectionSettings);
+        connectionTestResult.textContent = errors.join(' ');
+    }
+
+    async function testConnectionSettings() {
+        testConnectionBtn.disabled = true;
+        connectionTestResult.textContent = 'Testing...';
+        try {
+            const { errors, warnings, counts } = await checkConnectionSettings(connectionSettings);
+            const found = counts ? `Found ${counts.host} local, ${counts.srflx} STUN and ${counts.relay} TURN relay candidates.` : '';
+            connectionTestResult.textContent = [...errors, ...warnings, found].filter(Boolean).join(' ')
+                || 'The connection settings work.';
+        } catch (e) {
+            console.error("Connection test failed:", e);
+            connectionTestResult.textContent = 'The connection test failed.';
+        } finally {
+            testConnectionBtn.disabled = false;
+        }
+    }
+
+    // Custom servers are probed before every meeting, so a broken TURN relay
+    // is reported up front instead of as a connection timeout.
+    async function verifyConnectionSettings() {
+        const { peerServer, iceServers, relayOnly } = connectionSettings;
+        if (!peerServer.host && !relayOnly && !hasTurnServer(iceServers)) return true;
+
+        const { errors, warnings } = await checkConnectionSettings(connectionSettings);
+        warnings.forEach(warning => console.warn(warning));
+        if (errors.length > 0) {
+            showError(`Connection settings check failed: ${errors.join(' ')}`);
+            return false;
+        }
+        return true;
     }
 
     function createMeeting() {
-        meetingId = crypto.randomUUID();
-        startMeeting(false); // isJoining = false
+        startMeeting(null);
     }
 
     function joinMeeting() {
@@ -182,11 +655,11 @@ document.addEventListener('DOMContentLoaded', () => {
             showError("Please enter a valid Meeting ID.");
             return;
         }
-        meetingId = id;
-        startMeeting(true); // isJoining = true
+        startMeeting(id);
     }
 
-    async function startMeeting(isJoining) {
+    // Creates a new meeting, or joins `joinMeetingId`.
+    async function startMeeting(joinMeetingId) {
         if (!ai) {
             showError("Application is not initialized. Please provide an API Key.");
             return;
@@ -195,69 +668,171 @@ document.addEventListener('DOMContentLoaded', () => {
         setLoadingState(true, 'Starting...');
         hideError();
         transcriptionPanel.innerHTML = '';
+        transcriptLines = [];
+        lineViews = new Map();
+        linesToSpeak.clear();
+        transcriptMeetingId = null;
+        meetingStartedAt = Date.now();
+        callStatsHistory = new Map();
+        diagnosticsEvents = [];
+        updateExportControls();
         setupControls.style.display = 'none';
 
         try {
-            mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true, video: true });
-            localParticipant.querySelector('.placeholder').style.display = 'none';
-            userVideo.style.display = 'block';
-            userVideo.srcObject = mediaStream;
-
-            initializePeer(isJoining);
-            await setupGeminiTranscription();
-            
-            isMeetingActive = true;
-            callInProgressControls.style.display = 'flex';
-            setLoadingState(false);
-            
+            if (!await verifyConnectionSettings()) {
+                endMeeting();
+                return;
+            }
         } catch (error) {
             console.error(error);
-            const errorMessage = error instanceof Error && error.name === 'NotAllowedError'
-                ? 'Camera and microphone access was denied.'
-                : 'Failed to start. Check permissions and try again.';
-            showError(errorMessage);
+            showError('Failed to start. Check permissions and try again.');
             endMeeting();
+            return;
         }
-    }
-    
-    function resetApplicationState() {
-        isMeetingActive = false;
 
-        // Stop media streams
-        if (mediaStream) {
-            mediaStream.getTracks().forEach(track => track.stop());
-            mediaStream = null;
-        }
+        const session = new MeetingSession({
+            ai,
+            companion: companionSettings,
+            name: localName,
+            spokenLang: spokenLangSelect.value,
+            readingLang: readingLangSelect.value,
+            passcode: passcodeInput.value,
+            lobby: lobbyInput.checked,
+            ...getSessionCaptureSettings(),
+            devicePreferences,
+            stream: previewStream,
+            connectionSettings,
+            translationSettings,
+            translationCache,
+            glossary: glossaryEntries,
+        });
+        previewStream = null;
+        meetingSession = session;
+        listenToSession(session);
+        isMeetingActive = true;
+        translationUsage = { ...session.translationUsage };
+        updateTranslationUsage();
+        updateDeviceControls();
+        refreshDeviceLists();
 
-        // Disconnect audio processing
-        if (scriptProcessor) {
-            scriptProcessor.disconnect();
-            scriptProcessor = null;
-            audioSourceNode = null;
-        }
-        if (audioContext && audioContext.state !== 'closed') {
-             audioContext.close().catch(e => console.error("Error closing AudioContext:", e));
+        try {
+            await (joinMeetingId ? session.join(joinMeetingId) : session.create());
+        } catch (error) {
+            // Already shown through the session's 'error' event.
+            return;
         }
-        audioContext = null;
+        // The meeting may have ended while it was starting.
+        if (!session.isActive) return;
+        callInProgressControls.style.display = 'flex';
+        setLoadingState(false);
+    }
 
+    // Events of a session that has been replaced by a newer meeting are ignored.
+    function listenToSession(session) {
+        const on = (type, handler) => session.addEventListener(type, ({ detail }) => {
+            if (session === meetingSession) {
+                handler(detail);
+            }
+        });
+        on('statuschange', ({ status, text }) => updateStatus(status, text));
+        on('talkingchange', ({ isTalking }) => talkBtn.classList.toggle('talking', isTalking));
+        on('meetingstarted', handleMeetingStarted);
+        on('localstream', ({ stream, cameraError }) => {
+            if (cameraError) {
+                console.warn("Joining without a camera:", cameraError);
+                deviceStatus.textContent = 'No camera is available, so you are joining with audio only.';
+            }
+            startLevelMeter(stream);
+            showLocalMedia();
+            updateMediaUi();
+        });
+        on('screensharechange', () => {
+            showLocalMedia();
+            updateScreenShareUi();
+        });
+        ['participantjoined', 'participantupdated', 'presentingchange', 'recordingchange']
+            .forEach(type => on(type, ({ participant }) => renderParticipant(participant)));
+        on('participantreconnecting', ({ participant }) => {
+            logDiagnosticsEvent(participant, 'Connection lost, reconnecting');
+            const tile = participants.get(participant.peerId);
+            if (tile) {
+                hideCaption(tile);
+            }
+            renderParticipant(participant);
+        });
+        on('participantreconnected', ({ participant }) => {
+            logDiagnosticsEvent(participant, 'Reconnected');
+            renderParticipant(participant);
+        });
+        on('participantleft', ({ participant }) => removeParticipant(participant.peerId));
+        on('knock', showLobbyPrompt);
+        on('knockended', ({ peerId }) => removeLobbyPrompt(peerId));
+        on('interim', ({ participant, utteranceId, text, lang }) => {
+            const tile = participants.get(participant.peerId);
+            if (!tile) return;
+            if (text) {
+                updateInterimCaption(tile, { utteranceId, text, lang });
+            } else if (tile.caption?.utteranceId === utteranceId) {
+                // They discarded the utterance.
+                hideCaption(tile);
+            }
+        });
+        on('utterancepending', ({ utterance }) => {
+            pendingReviews.push(utterance);
+            showNextReview();
+        });
+        on('line', ({ line }) => addTranscriptLine(line));
+        on('lineupdated', ({ line }) => updateTranscriptLine(line));
+        on('translationusage', ({ usage }) => {
+            translationUsage = usage;
+            updateTranslationUsage();
+        });
+        on('callstats', handleCallStats);
+        on('videoqualitychange', ({ participant, videoLevel }) => {
+            logDiagnosticsEvent(participant, `Outgoing video set to ${VIDEO_QUALITY_LEVELS[videoLevel].label}`);
+        });
+        on('error', ({ message }) => showError(message));
+        on('ended', resetApplicationState);
+    }
 
-        // Close Gemini session
-        if (sessionPromise) {
-            sessionPromise.then(session => session.close()).catch(e => console.error("Error closing session:", e));
-            sessionPromise = null;
+    function handleMeetingStarted({ meetingId: id, isHost }) {
+        meetingId = id;
+        transcriptMeetingId = id;
+        if (isHost) {
+            meetingIdDisplay.textContent = id;
+            meetingInfoContainer.style.display = 'flex';
         }
-        
-        // Close data connection
-        if (dataConnection) {
-            dataConnection.close();
-            dataConnection = null;
+        recordMeetingStart();
+    }
+    
+    function resetApplicationState() {
+        isMeetingActive = false;
+        recordMeetingEnd();
+
+        // Meetings that ended on their own, e.g. after a connection error, still save their recording.
+        if (meetingRecorder) {
+            stopRecording();
         }
 
-        // Destroy PeerJS connection
-        if (peer && !peer.destroyed) {
-            peer.destroy();
+        stopLevelMeter();
+        updateMediaUi();
+        updateScreenShareUi();
+        cancelSpeech();
+        linesToSpeak.clear();
+        // Corrections go out through the meeting, so they end with it.
+        lineViews.forEach(view => {
+            view.lineEl.querySelector('.line-edit-form')?.remove();
+            view.originalTextSpan.style.display = '';
+            view.editBtn?.remove();
+            view.editBtn = null;
+        });
+        if (diagnosticsSection.open) {
+            renderDiagnostics();
         }
-        peer = null;
+
+        // The session has closed the connections; only their tiles and prompts are left.
+        Array.from(participants.keys()).forEach(removeParticipant);
+        Array.from(lobbyPrompts.keys()).forEach(removeLobbyPrompt);
 
         // Reset UI elements
         setupControls.style.display = 'flex';
@@ -266,14 +841,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
         userVideo.srcObject = null;
         userVideo.style.display = 'none';
+        localParticipant.classList.remove('camera-off');
         localParticipant.querySelector('.placeholder').style.display = 'flex';
+        updateDeviceControls();
 
-        remoteVideo.srcObject = null;
-        remoteVideo.style.display = 'none';
-        remoteParticipant.querySelector('.placeholder').style.display = 'flex';
-        remoteParticipant.querySelector('.placeholder p').textContent = 'Waiting for participant to join...';
+        updateWaitingState();
 
-        transcriptionPanel.innerHTML = '';
         meetingIdDisplay.textContent = '';
         const urlParams = new URLSearchParams(window.location.search);
         if (!urlParams.has('meetingId')) {
@@ -282,230 +855,1251 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Reset state variables
         meetingId = null;
-        localTranscriptionBuffer = '';
-        isTalking = false;
         talkBtn.classList.remove('talking');
-        clearTimeout(finalizationTimeout);
-        
-        remoteName = 'Participant';
-        remoteNameTag.textContent = remoteName;
+        pendingReviews = [];
+        showNextReview();
 
         // Re-enable controls
         setLoadingState(false);
         updateStatus('idle', 'Idle');
     }
 
+    // The transcript outlives the call, but offering the summary here means it
+    // is written while the meeting is still fresh.
+    function requestEndMeeting() {
+        if (transcriptLines.length > 0 && ai && !isSummarizing) {
+            endMeetingDialog.returnValue = '';
+            endMeetingDialog.showModal();
+        } else {
+            endMeeting();
+        }
+    }
+
     function endMeeting() {
         console.log("Ending meeting and resetting state.");
-        resetApplicationState();
+        // Stop the recording first, while its sources are still live
+        if (meetingRecorder) {
+            stopRecording();
+        }
+        if (meetingSession?.isActive) {
+            // The app is reset on the session's 'ended' event.
+            meetingSession.end();
+        } else {
+            resetApplicationState();
+        }
     }
 
+    // --- Lobby ---
 
-    function initializePeer(isJoining) {
-        // Use a randomly generated ID for the joining peer to avoid ID conflicts.
-        const peerIdToRegister = isJoining ? undefined : meetingId;
-        
-        const iceServers = {
-            'iceServers': [
-                { urls: 'stun:stun.l.google.com:19302' },
-                { urls: 'stun:stun1.l.google.com:19302' },
-            ]
+    function showLobbyPrompt({ peerId, name }) {
+        const item = document.createElement('li');
+        item.className = 'lobby-item';
+
+        const text = document.createElement('span');
+        text.textContent = `${name} is waiting to join.`;
+
+        // The prompt is removed on the session's 'knockended' event.
+        const admitBtn = document.createElement('button');
+        admitBtn.textContent = 'Admit';
+        admitBtn.addEventListener('click', () => meetingSession?.admit(peerId));
+
+        const denyBtn = document.createElement('button');
+        denyBtn.className = 'deny-btn';
+        denyBtn.textContent = 'Deny';
+        denyBtn.addEventListener('click', () => meetingSession?.deny(peerId));
+
+        item.appendChild(text);
+        item.appendChild(admitBtn);
+        item.appendChild(denyBtn);
+        lobbyPrompts.get(peerId)?.remove();
+        lobbyPrompts.set(peerId, item);
+        lobbyList.appendChild(item);
+        lobbyPanel.style.display = 'block';
+    }
+
+    function removeLobbyPrompt(peerId) {
+        lobbyPrompts.get(peerId)?.remove();
+        lobbyPrompts.delete(peerId);
+        lobbyPanel.style.display = lobbyList.children.length > 0 ? 'block' : 'none';
+    }
+
+    // --- Participants ---
+
+    function getOrCreateParticipant(peerId) {
+        let participant = participants.get(peerId);
+        if (participant) return participant;
+
+        const tile = participantTemplate.content.firstElementChild.cloneNode(true);
+        participant = {
+            peerId,
+            // The session's defaults until the participant's 'profile' message arrives.
+            name: 'Participant',
+            spokenLang: null,
+            isPresenting: false,
+            tile,
+            video: tile.querySelector('video'),
+            nameTag: tile.querySelector('.name-tag'),
+            voiceSelect: tile.querySelector('.voice-select'),
+            volumeInput: tile.querySelector('.translation-volume'),
+            duckCount: 0,
+            // Latest call stats, their rating and our outgoing video level, see handleCallStats().
+            stats: null,
+            quality: 'unknown',
+            videoLevel: 0,
+            qualityIndicator: tile.querySelector('.quality-indicator'),
+            // Caption of the utterance the participant is speaking, see updateInterimCaption().
+            caption: null,
+            captionOriginal: tile.querySelector('.caption-original'),
+            captionTranslation: tile.querySelector('.caption-translation'),
         };
+        participant.nameTag.textContent = participant.name;
+        if (isSpeechSupported()) {
+            participant.voiceSelect.addEventListener('change', () => {
+                setParticipantSpeechPreferences(participant, { voiceURI: participant.voiceSelect.value });
+            });
+            participant.volumeInput.addEventListener('input', () => {
+                setParticipantSpeechPreferences(participant, { volume: Number(participant.volumeInput.value) / 100 });
+            });
+            applyParticipantSpeechPreferences(participant);
+        } else {
+            tile.querySelector('.tile-controls').remove();
+        }
+        callContainer.appendChild(tile);
+        participants.set(peerId, participant);
+        updateWaitingState();
+        return participant;
+    }
 
-        peer = new Peer(peerIdToRegister, { config: iceServers });
-        
-        peer.on('open', (id) => {
-            if (isJoining) {
-                connectToPeer(meetingId);
-            } else {
-                meetingIdDisplay.textContent = meetingId;
-                meetingInfoContainer.style.display = 'flex';
-                updateStatus('waiting', 'Waiting for participant...');
-            }
-        });
+    // Updates a participant's tile from the session's snapshot of them.
+    function renderParticipant({ peerId, name, spokenLang, stream, isMuted, isCameraOff, isPresenting, isRecording, isReconnecting }) {
+        const participant = getOrCreateParticipant(peerId);
+        if (participant.name !== name || participant.spokenLang !== spokenLang) {
+            participant.name = name;
+            participant.spokenLang = spokenLang;
+            updateParticipantNameTag(participant);
+            applyParticipantSpeechPreferences(participant);
+            addParticipantToHistory(participant);
+        }
+        if (stream && participant.video.srcObject !== stream) {
+            participant.tile.querySelector('.placeholder').style.display = 'none';
+            participant.video.style.display = 'block';
+            participant.video.srcObject = stream;
+        }
+        const { classList } = participant.tile;
+        classList.toggle('muted', isMuted);
+        classList.toggle('camera-off', isCameraOff);
+        classList.toggle('sharing-screen', isPresenting);
+        classList.toggle('recording', isRecording);
+        classList.toggle('reconnecting', isReconnecting);
+        participant.isPresenting = isPresenting;
+        updatePresenterLayout();
+    }
 
-        peer.on('call', (call) => {
-            call.answer(mediaStream);
-            setupRemoteStream(call);
-        });
+    function removeParticipant(peerId) {
+        const participant = participants.get(peerId);
+        if (!participant) return;
+        participants.delete(peerId);
 
-        peer.on('connection', (conn) => {
-            dataConnection = conn;
-            setupDataConnection();
+        hideCaption(participant);
+        participant.video.srcObject = null;
+        participant.tile.remove();
+        updatePresenterLayout();
+        updateWaitingState();
+    }
+
+    function updateWaitingState() {
+        remotePlaceholder.style.display = participants.size === 0 ? 'flex' : 'none';
+    }
+
+    // --- Camera & Microphone ---
+
+    async function refreshDeviceLists() {
+        if (!navigator.mediaDevices?.enumerateDevices) return;
+        try {
+            const { audioInputs, videoInputs } = await listMediaDevices();
+            fillDeviceSelect(audioInputSelect, audioInputs, 'Microphone', devicePreferences.audioInputId);
+            fillDeviceSelect(videoInputSelect, videoInputs, 'Camera', devicePreferences.videoInputId);
+        } catch (e) {
+            console.error("Failed to list media devices:", e);
+        }
+    }
+
+    function fillDeviceSelect(select, devices, kindLabel, selectedId) {
+        select.innerHTML = '';
+        select.add(new Option('System default', ''));
+        devices.forEach((device, index) => {
+            select.add(new Option(device.label || `${kindLabel} ${index + 1}`, device.deviceId));
         });
+        select.value = devices.some(device => device.deviceId === selectedId) ? selectedId : '';
+    }
+
+    async function handleDeviceSelection(key, value) {
+        devicePreferences = { ...devicePreferences, [key]: value };
+        saveDevicePreferences(devicePreferences);
 
-        peer.on('error', (err) => {
-            console.error('PeerJS error:', err);
-            let errorMessage = `Connection error. Please try again.`;
-            if (err.type === 'peer-unavailable') {
-                errorMessage = 'The participant is not available. Please check the Meeting ID.';
-            } else if (err.type === 'network') {
-                errorMessage = 'Network connection lost. Please check your internet connection.';
-            } else if (err.type === 'id-taken') {
-                errorMessage = 'This meeting ID is already in use. Please create a new meeting.';
+        if (isMeetingActive) {
+            if (key === 'audioInputId') {
+                await switchMicrophone();
+            } else if (key === 'videoInputId' && hasCamera()) {
+                await setCameraEnabled(true);
             }
-            showError(errorMessage);
-            endMeeting();
+        } else if (previewStream) {
+            stopDevicePreview();
+            await startDevicePreview();
+        }
+    }
+
+    async function startDevicePreview() {
+        if (isMeetingActive || previewStream) return;
+        previewDevicesBtn.disabled = true;
+        hideError();
+        try {
+            const { stream, cameraError } = await openMediaStream(devicePreferences);
+            // The meeting may have started from the setup controls meanwhile.
+            if (isMeetingActive) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            previewStream = stream;
+            if (cameraError) {
+                deviceStatus.textContent = 'No camera is available. You can still join with audio only.';
+            }
+            startLevelMeter(stream);
+            showLocalMedia();
+            refreshDeviceLists();
+        } catch (error) {
+            console.error("Device preview failed:", error);
+            showError(error instanceof Error && error.name === 'NotAllowedError'
+                ? 'Camera and microphone access was denied.'
+                : 'Could not open the selected microphone.');
+        } finally {
+            updateDeviceControls();
+        }
+    }
+
+    function stopDevicePreview() {
+        if (!previewStream) return;
+        previewStream.getTracks().forEach(track => track.stop());
+        previewStream = null;
+        stopLevelMeter();
+        userVideo.srcObject = null;
+        userVideo.style.display = 'none';
+        localParticipant.classList.remove('camera-off');
+        localParticipant.querySelector('.placeholder').style.display = 'flex';
+        updateDeviceControls();
+    }
+
+    function startLevelMeter(stream) {
+        stopLevelMeter();
+        levelMeter = createLevelMeter(stream, (level) => {
+            micLevelBar.style.transform = `scaleX(${Math.min(1, level * 2)})`;
         });
     }
 
-    function connectToPeer(peerId) {
-        if (!peer || !mediaStream) return;
-        
-        updateStatus('connecting', 'Connecting...');
+    function stopLevelMeter() {
+        levelMeter?.close().catch(e => console.error("Error closing level meter:", e));
+        levelMeter = null;
+    }
 
-        const connectionTimeout = setTimeout(() => {
-            showError('Connection timed out. The peer may be unavailable or behind a restrictive firewall.');
-            endMeeting();
-        }, 15000);
+    function updateDeviceControls() {
+        previewDevicesBtn.disabled = isMeetingActive;
+        previewDevicesBtn.textContent = previewStream ? 'Stop Test' : 'Test Camera & Microphone';
+        audioOnlyInput.disabled = isMeetingActive;
+    }
 
-        const call = peer.call(peerId, mediaStream);
-        setupRemoteStream(call, () => clearTimeout(connectionTimeout));
+    // Shows the shared screen, the camera or the camera-off placeholder in our own tile.
+    function showLocalMedia() {
+        const mediaStream = meetingSession?.localStream ?? previewStream;
+        localParticipant.querySelector('.placeholder').style.display = 'none';
+        userVideo.style.display = 'block';
+        userVideo.srcObject = meetingSession?.screenStream ?? mediaStream;
+        localParticipant.classList.toggle('camera-off', !mediaStream?.getVideoTracks().length);
+    }
 
-        dataConnection = peer.connect(peerId);
-        setupDataConnection();
+    function hasCamera() {
+        return Boolean(meetingSession?.hasCamera());
     }
 
-    function setupRemoteStream(call, onStreamCallback) {
-        call.on('stream', (remoteStream) => {
-            if(onStreamCallback) {
-                onStreamCallback();
-            }
-            updateStatus('ready', 'Hold to Talk');
-            remoteParticipant.querySelector('.placeholder').style.display = 'none';
-            remoteVideo.style.display = 'block';
-            remoteVideo.srcObject = remoteStream;
-        });
+    // The new microphone keeps the mute state; the session restarts live
+    // transcription on it.
+    async function switchMicrophone() {
+        try {
+            await meetingSession.switchMicrophone(devicePreferences.audioInputId);
+        } catch (error) {
+            console.error("Failed to switch microphone:", error);
+            showError('Could not switch to the selected microphone.');
+        }
+    }
 
-        call.on('close', () => {
-            showError('Participant has left the meeting.');
-            endMeeting();
-        });
+    // Turning the camera on again, or switching cameras, opens the selected one.
+    async function setCameraEnabled(enabled) {
+        if (!isMeetingActive) return;
+        try {
+            await meetingSession.setCameraEnabled(enabled, devicePreferences.videoInputId);
+        } catch (error) {
+            console.error("Failed to start camera:", error);
+            showError('Could not start the selected camera.');
+        }
     }
 
-    function setupDataConnection() {
-        if (!dataConnection) return;
-        dataConnection.on('data', (data) => {
-            if (data.type === 'transcription') {
-                appendAndTranslate(data.text, 'Participant');
-            } else if (data.type === 'name') {
-                remoteName = data.name;
-                remoteNameTag.textContent = remoteName;
+    function toggleMute() {
+        if (!meetingSession?.localStream) return;
+        meetingSession.setMuted(!meetingSession.isMuted);
+        updateMediaUi();
+    }
+
+    function updateMediaUi() {
+        const isMuted = Boolean(meetingSession?.isMuted);
+        muteBtn.textContent = isMuted ? 'Unmute' : 'Mute';
+        muteBtn.classList.toggle('active', isMuted);
+        muteBtn.setAttribute('aria-pressed', String(isMuted));
+        const isCameraOff = !hasCamera();
+        cameraBtn.textContent = isCameraOff ? 'Start Camera' : 'Stop Camera';
+        cameraBtn.classList.toggle('active', isCameraOff);
+        cameraBtn.setAttribute('aria-pressed', String(isCameraOff));
+        localParticipant.classList.toggle('muted', isMuted);
+        talkBtn.disabled = isMuted;
+        talkHint.textContent = getTalkHintText();
+    }
+
+    // --- Screen Sharing ---
+
+    async function startScreenShare() {
+        if (!isMeetingActive) return;
+        try {
+            await meetingSession.startScreenShare();
+        } catch (error) {
+            // NotAllowedError means the user closed the picker.
+            if (!(error instanceof Error && error.name === 'NotAllowedError')) {
+                console.error("Screen sharing failed:", error);
+                showError('Could not share your screen.');
             }
+        }
+    }
+
+    function updateScreenShareUi() {
+        const isSharing = Boolean(meetingSession?.screenStream);
+        shareScreenBtn.textContent = isSharing ? 'Stop Sharing' : 'Share Screen';
+        shareScreenBtn.classList.toggle('active', isSharing);
+        shareScreenBtn.setAttribute('aria-pressed', String(isSharing));
+        localParticipant.classList.toggle('sharing-screen', isSharing);
+    }
+
+    // Enlarges the tile of whoever is presenting. Our own share stays small,
+    // as it would only show us our own screen.
+    function updatePresenterLayout() {
+        let hasPresenter = false;
+        participants.forEach(participant => {
+            participant.tile.classList.toggle('presenting', participant.isPresenting);
+            hasPresenter ||= participant.isPresenting;
         });
-        dataConnection.on('open', () => {
-            dataConnection.send({ type: 'name', name: localName });
+        callContainer.classList.toggle('has-presenter', hasPresenter);
+    }
+
+    // --- Call Quality ---
+
+    // The session samples every call's stats and adapts the video we send.
+    function handleCallStats({ participant: { peerId }, stats, quality, videoLevel }) {
+        const participant = participants.get(peerId);
+        if (!participant) return;
+        participant.stats = stats;
+        participant.quality = quality;
+        participant.videoLevel = videoLevel;
+        participant.qualityIndicator.dataset.quality = quality;
+        participant.qualityIndicator.title = `Connection: ${quality}. ${describeCallStats(stats)}`;
+        recordStatsSample(participant, stats);
+        if (diagnosticsSection.open) {
+            renderDiagnostics();
+        }
+    }
+
+    function recordStatsSample(participant, { counters, ...sample }) {
+        let history = callStatsHistory.get(participant.peerId);
+        if (!history) {
+            history = { peerId: participant.peerId, name: participant.name, samples: [] };
+            callStatsHistory.set(participant.peerId, history);
+        }
+        history.name = participant.name;
+        history.samples.push({
+            ...sample,
+            quality: participant.quality,
+            videoLevel: VIDEO_QUALITY_LEVELS[participant.videoLevel].label,
         });
+        if (history.samples.length > MAX_STATS_SAMPLES) {
+            history.samples.shift();
+        }
+        downloadDiagnosticsBtn.disabled = false;
+    }
+
+    function logDiagnosticsEvent({ peerId, name }, message) {
+        diagnosticsEvents.push({ at: new Date().toISOString(), peerId, name, message });
+    }
+
+    function renderDiagnostics() {
+        const rows = Array.from(participants.values())
+            .filter(participant => participant.stats)
+            .map(participant => {
+                const { stats } = participant;
+                const row = document.createElement('tr');
+                const cells = [
+                    participant.name,
+                    participant.quality,
+                    stats.connectionType ? `${stats.connectionType} (${stats.protocol ?? '?'})` : '–',
+                    formatStat(stats.rttMs, ' ms'),
+                    `${formatPercent(stats.packetLoss)} / ${formatPercent(stats.outboundLoss)}`,
+                    formatStat(stats.jitterMs, ' ms'),
+                    `${formatStat(stats.inboundKbps, ' kbps')} / ${formatStat(stats.outboundKbps, ' kbps')}`,
+                    `${formatVideoInfo(stats.inboundVideo)} / ${formatVideoInfo(stats.outboundVideo)}`,
+                    VIDEO_QUALITY_LEVELS[participant.videoLevel].label,
+                ];
+                cells.forEach((text, index) => {
+                    const cell = row.insertCell();
+                    cell.textContent = text;
+                    if (index === 1) {
+                        cell.dataset.quality = participant.quality;
+                    }
+                });
+                return row;
+            });
+        if (rows.length === 0) {
+            const row = document.createElement('tr');
+            const cell = row.insertCell();
+            cell.colSpan = 9;
+            cell.textContent = isMeetingActive ? 'Waiting for call stats...' : 'No call in progress.';
+            rows.push(row);
+        }
+        diagnosticsTableBody.replaceChildren(...rows);
+    }
+
+    function describeCallStats({ rttMs, packetLoss, outboundLoss, connectionType }) {
+        const loss = Math.max(packetLoss ?? 0, outboundLoss ?? 0);
+        return [
+            rttMs !== null ? `${rttMs} ms round trip` : null,
+            `${formatPercent(loss)} packet loss`,
+            connectionType ? `${connectionType} connection` : null,
+        ].filter(Boolean).join(', ');
+    }
+
+    function formatStat(value, unit) {
+        return value === null ? '–' : `${value.toLocaleString()}${unit}`;
+    }
+
+    function formatPercent(fraction) {
+        return fraction === null ? '–' : `${(fraction * 100).toFixed(1)}%`;
     }
 
-    async function setupGeminiTranscription() {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 16000 });
-        audioSourceNode = audioContext.createMediaStreamSource(mediaStream);
-        scriptProcessor = audioContext.createScriptProcessor(4096, 1, 1);
-
-        sessionPromise = ai.live.connect({
-          model: 'gemini-2.5-flash-native-audio-preview-09-2025',
-          callbacks: {
-            onopen: () => {},
-            onmessage: (message) => {
-              const text = message.serverContent?.inputTranscription?.text;
-              if (text) {
-                handleLocalTranscription(text);
-              }
+    function formatVideoInfo(video) {
+        if (!video?.width) return '–';
+        return `${video.width}×${video.height}${video.fps ? ` @ ${Math.round(video.fps)} fps` : ''}`;
+    }
+
+    // TURN credentials are left out; the report is meant to be passed around.
+    function downloadDiagnosticsReport() {
+        const { peerServer, iceServers, relayOnly } = connectionSettings;
+        const report = {
+            generatedAt: new Date().toISOString(),
+            meetingId: transcriptMeetingId,
+            userAgent: navigator.userAgent,
+            connection: {
+                peerServer: peerServer.host ? `${peerServer.host}:${peerServer.port || (peerServer.secure ? 443 : 80)}${peerServer.path}` : 'PeerJS cloud',
+                iceServers: iceServers.map(({ urls }) => urls),
+                relayOnly,
             },
-            onerror: (e) => showError('Real-time connection error.'),
-            onclose: (e) => {},
-          },
-          config: {
-            responseModalities: [Modality.AUDIO],
-            inputAudioTranscription: {},
-          },
+            participants: Array.from(callStatsHistory.values()),
+            events: diagnosticsEvents,
+        };
+        const date = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+        downloadFile(`call-diagnostics-${date}.json`, JSON.stringify(report, null, 2), 'application/json');
+    }
+
+    // --- Recording ---
+
+    function getRecordingSources() {
+        const sources = [{ name: localName, video: userVideo, stream: meetingSession?.localStream }];
+        participants.forEach(participant => {
+            if (participant.video.srcObject) {
+                sources.push({ name: participant.name, video: participant.video, stream: participant.video.srcObject });
+            }
         });
-        await sessionPromise; // Ensure session is connected before we allow talking
-
-        scriptProcessor.onaudioprocess = (event) => {
-          const inputData = event.inputBuffer.getChannelData(0);
-          const pcmBlob = createBlob(inputData);
-          sessionPromise?.then((session) => {
-            session.sendRealtimeInput({ media: pcmBlob });
-          });
+        return sources;
+    }
+
+    function startRecording() {
+        if (!isMeetingActive || meetingRecorder) return;
+        try {
+            meetingRecorder = new MeetingRecorder(getRecordingSources);
+            meetingRecorder.start();
+        } catch (e) {
+            console.error("Failed to start recording:", e);
+            meetingRecorder = null;
+            showError('Could not start the recording.');
+            return;
+        }
+        meetingSession.setRecording(true);
+        updateRecordingUi();
+    }
+
+    async function stopRecording() {
+        const recorder = meetingRecorder;
+        if (!recorder) return;
+        meetingRecorder = null;
+        meetingSession?.setRecording(false);
+        updateRecordingUi();
+
+        const recording = await recorder.stop();
+        const date = new Date(meetingStartedAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+        downloadFile(`meeting-recording-${date}.webm`, recording, recording.type);
+    }
+
+    function updateRecordingUi() {
+        const isRecording = Boolean(meetingRecorder);
+        recordBtn.textContent = isRecording ? 'Stop Recording' : 'Record';
+        recordBtn.classList.toggle('active', isRecording);
+        recordBtn.setAttribute('aria-pressed', String(isRecording));
+        localParticipant.classList.toggle('recording', isRecording);
+    }
+
+    // --- Talking ---
+
+    function pushToTalkStart() {
+        if (isMeetingActive && isPushToTalk()) {
+            meetingSession.startTalking();
+        }
+    }
+
+    function pushToTalkStop() {
+        if (isMeetingActive && isPushToTalk()) {
+            meetingSession.stopTalking();
+        }
+    }
+
+    // --- Review Before Sending ---
+
+    // Shows the oldest utterance waiting for review; the others queue behind it.
+    function showNextReview() {
+        const [utterance] = pendingReviews;
+        if (!utterance) {
+            reviewForm.style.display = 'none';
+            delete reviewForm.dataset.utteranceId;
+            return;
+        }
+        if (reviewForm.dataset.utteranceId !== utterance.id) {
+            reviewForm.dataset.utteranceId = utterance.id;
+            reviewInput.value = utterance.text;
+            reviewForm.style.display = '';
+            reviewInput.focus();
+        }
+        reviewQueueStatus.textContent = pendingReviews.length > 1 ? `${pendingReviews.length - 1} more waiting` : '';
+    }
+
+    function sendReviewedUtterance() {
+        const utterance = pendingReviews.shift();
+        if (!utterance) return;
+        const text = reviewInput.value.trim();
+        if (text) {
+            meetingSession.sendUtterance({ ...utterance, text });
+        } else {
+            meetingSession.discardUtterance(utterance);
+        }
+        showNextReview();
+    }
+
+    function discardReviewedUtterance() {
+        const utterance = pendingReviews.shift();
+        if (!utterance) return;
+        meetingSession.discardUtterance(utterance);
+        showNextReview();
+    }
+
+
+    function isPushToTalk() {
+        return captureSettings.mode !== 'hands-free';
+    }
+
+    function loadCaptureSettings() {
+        const defaults = { mode: 'push-to-talk', chunkMs: 100, reviewBeforeSend: false, ...DEFAULT_VAD_OPTIONS };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(CAPTURE_SETTINGS_STORAGE_KEY)) };
+        } catch (e) {
+            console.error("Failed to read capture settings:", e);
+            return defaults;
+        }
+    }
+
+    function saveCaptureSettings() {
+        localStorage.setItem(CAPTURE_SETTINGS_STORAGE_KEY, JSON.stringify(captureSettings));
+    }
+
+    // The capture settings as MeetingSession takes them.
+    function getSessionCaptureSettings() {
+        const { mode, chunkMs, reviewBeforeSend, sensitivity, silenceTimeoutMs } = captureSettings;
+        return { handsFree: mode === 'hands-free', chunkMs, reviewBeforeSend, vadOptions: { sensitivity, silenceTimeoutMs } };
+    }
+
+    // Changes apply to the meeting in progress right away.
+    function applyCaptureSettings() {
+        meetingSession?.setCaptureSettings(getSessionCaptureSettings());
+    }
+
+    function updateVadSettingsLabels() {
+        vadSensitivityValue.textContent = `${Math.round(captureSettings.sensitivity * 100)}%`;
+        vadSilenceValue.textContent = `${(captureSettings.silenceTimeoutMs / 1000).toFixed(1)}s`;
+    }
+
+    function getTalkHintText() {
+        if (meetingSession?.isMuted) return 'Unmute to talk';
+        return isPushToTalk() ? 'Hold SPACE or button to talk' : 'Hands-free: just speak, pause to send';
+    }
+
+    function applyCaptureMode() {
+        const handsFree = !isPushToTalk();
+        vadSettings.style.display = handsFree ? 'flex' : 'none';
+        talkHint.textContent = getTalkHintText();
+        talkBtn.title = handsFree ? 'Voice activity' : 'Hold to Talk';
+        applyCaptureSettings();
+    }
+
+    // --- Transcript ---
+
+    function addTranscriptLine(line) {
+        transcriptLines.push(line);
+        updateExportControls();
+        saveLineToHistory(line);
+
+        const { lineEl, originalTextSpan, translatedTextSpan } = createTranscriptLineElement(line);
+        const view = { line, lineEl, originalTextSpan, translatedTextSpan, editBtn: null };
+        // Only our own lines can be corrected from here.
+        if (line.peerId === null && line.messageId) {
+            view.editBtn = document.createElement('button');
+            view.editBtn.className = 'edit-line-btn';
+            view.editBtn.textContent = 'Edit';
+            view.editBtn.title = 'Correct this line for everyone';
+            view.editBtn.addEventListener('click', () => startLineEdit(view));
+            originalTextSpan.after(view.editBtn);
+        }
+        lineViews.set(line.id, view);
+        renderLineTranslation(view);
+        transcriptionPanel.appendChild(lineEl);
+        transcriptionPanel.scrollTop = transcriptionPanel.scrollHeight;
+        meetingRecorder?.addCaption(line);
+
+        // Typed messages have no audio to stand in for, so they are only shown.
+        const participant = participants.get(line.peerId);
+        if (participant && line.kind === 'speech') {
+            linesToSpeak.add(line.id);
+            showFinalCaption(participant, line);
+        }
+    }
+
+    // After the translation status of a line changed, or its speaker corrected it.
+    function updateTranscriptLine(line) {
+        const view = lineViews.get(line.id);
+        if (!view) return;
+        saveLineToHistory(line);
+        renderGlossaryText(view.originalTextSpan, line.original, line.glossaryTerms, 'sourceTerm');
+        view.lineEl.querySelector('.line-badge.edited')?.remove();
+        if (line.editedAt) {
+            view.originalTextSpan.before(createEditedBadge(line));
+            // Corrections are not read out; the conversation has moved on by the time they arrive.
+            linesToSpeak.delete(line.id);
+        }
+        renderLineTranslation(view);
+        if (line.translationStatus !== 'done' && line.translationStatus !== 'failed') return;
+
+        const participant = participants.get(line.peerId);
+        if (participant) {
+            finishFinalCaption(participant, line);
+        }
+        // Lines translated again by hand are not read out either.
+        if (participant && linesToSpeak.has(line.id) && line.translationStatus === 'done') {
+            speakTranslation(line, participant);
+        }
+        linesToSpeak.delete(line.id);
+    }
+
+    function renderLineTranslation({ line, translatedTextSpan }) {
+        if (line.translationStatus === 'pending') {
+            translatedTextSpan.textContent = 'Translating...';
+        } else if (line.translationStatus === 'retrying') {
+            translatedTextSpan.textContent = 'Translation delayed, retrying...';
+        } else if (line.translationStatus === 'failed') {
+            const retryBtn = document.createElement('button');
+            retryBtn.className = 'retry-translation-btn';
+            retryBtn.textContent = 'Retry';
+            retryBtn.addEventListener('click', () => meetingSession.retryTranslation(line.id));
+            translatedTextSpan.replaceChildren('[Translation Error]', retryBtn);
+        } else if (line.translation) {
+            renderGlossaryText(translatedTextSpan, line.translation, line.glossaryTerms, 'targetTerm');
+        } else {
+            translatedTextSpan.textContent = '[No Translation]';
+        }
+    }
+
+    // --- Line Corrections ---
+
+    function startLineEdit(view) {
+        const { line, originalTextSpan, editBtn } = view;
+        const form = document.createElement('form');
+        form.className = 'line-edit-form';
+        const input = document.createElement('input');
+        input.value = line.original;
+        input.setAttribute('aria-label', 'Corrected text');
+        const saveBtn = document.createElement('button');
+        saveBtn.type = 'submit';
+        saveBtn.textContent = 'Save';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.textContent = 'Cancel';
+        form.append(input, saveBtn, cancelBtn);
+
+        const close = () => {
+            form.remove();
+            originalTextSpan.style.display = '';
+            editBtn.style.display = '';
         };
-        audioSourceNode.connect(scriptProcessor);
-        // We disconnect immediately; will be reconnected on push-to-talk
-        scriptProcessor.disconnect();
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = input.value.trim();
+            close();
+            // The session sends the correction to everyone and translates it again.
+            meetingSession.editLine(line.id, text);
+        });
+        cancelBtn.addEventListener('click', close);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') close();
+        });
+
+        originalTextSpan.style.display = 'none';
+        editBtn.style.display = 'none';
+        originalTextSpan.after(form);
+        input.focus();
+        input.select();
     }
 
-    function startTranscribing() {
-        if (!isMeetingActive || isTalking || !scriptProcessor || !audioContext) return;
-        
-        clearTimeout(finalizationTimeout); // Cancel any pending finalization
-        isTalking = true;
-        talkBtn.classList.add('talking');
-        updateStatus('listening', 'Listening...');
-        // Connect the processor to start sending audio
-        scriptProcessor.connect(audioContext.destination);
+    function createEditedBadge(line) {
+        const badge = document.createElement('span');
+        badge.className = 'line-badge edited';
+        badge.textContent = 'edited';
+        badge.title = `Corrected at ${new Date(line.editedAt).toLocaleTimeString()}`;
+        return badge;
     }
-    
-    function stopTranscribing() {
-        if (!isMeetingActive || !isTalking || !scriptProcessor) return;
-        isTalking = false;
-        talkBtn.classList.remove('talking');
-        updateStatus('ready', 'Hold to Talk');
-        // Disconnect the processor to stop sending audio
-        scriptProcessor.disconnect();
-
-        // Wait a moment for any final transcription chunks to arrive
-        clearTimeout(finalizationTimeout);
-        finalizationTimeout = setTimeout(() => {
-            if (localTranscriptionBuffer.trim().length > 0) {
-                const fullSentence = localTranscriptionBuffer.trim();
-                appendAndTranslate(fullSentence, 'You');
-                if (dataConnection?.open) {
-                    dataConnection.send({ type: 'transcription', text: fullSentence });
-                }
-                localTranscriptionBuffer = '';
+
+    function updateTranslationUsage() {
+        const { requests, characters, cacheHits, failures } = translationUsage;
+        const parts = [`${requests} requests`, `${characters.toLocaleString()} characters`, `${cacheHits} cached`];
+        if (failures > 0) {
+            parts.push(`${failures} failed`);
+        }
+        translationUsageDisplay.textContent = `Translation: ${parts.join(' · ')}`;
+    }
+
+    function updateTranslationCacheStatus() {
+        translationCacheStatus.textContent = `${translationCache.size} translations cached.`;
+    }
+
+    // --- Interim Captions ---
+
+    // Shows what a participant is saying while they speak. Completed sentences
+    // are translated right away, the rest once the utterance is final.
+    function updateInterimCaption(participant, { utteranceId, text, lang }) {
+        let caption = participant.caption;
+        if (!caption || caption.utteranceId !== utteranceId) {
+            hideCaption(participant);
+            caption = {
+                utteranceId,
+                // The transcript line once the utterance is final.
+                lineId: null,
+                original: '',
+                sourceLang: lang ?? participant.spokenLang,
+                targetLang: readingLangSelect.value,
+                segmenter: new StableSegmenter(),
+                // One entry per stable segment; null until its translation arrives.
+                translations: [],
+                pending: '',
+                finalTranslation: null,
+                isFinal: false,
+                hideTimer: null,
+            };
+            participant.caption = caption;
+        }
+        if (caption.isFinal) return;
+
+        caption.original = text;
+        const { segments, pending } = caption.segmenter.update(text);
+        caption.pending = pending;
+        segments.forEach(segment => {
+            const index = caption.translations.length;
+            if (caption.sourceLang === caption.targetLang) {
+                caption.translations.push(segment);
+                return;
             }
-        }, 500); // 500ms safety buffer
+            caption.translations.push(null);
+            meetingSession.translateCaption(segment, caption.sourceLang, caption.targetLang).then(translation => {
+                caption.translations[index] = translation;
+                if (participant.caption === caption) {
+                    renderCaption(participant);
+                }
+            });
+        });
+        renderCaption(participant);
+    }
+
+    // Replaces the interim caption with the final line. It is hidden once the
+    // line is translated, see finishFinalCaption().
+    function showFinalCaption(participant, line) {
+        let caption = participant.caption;
+        if (!caption || caption.utteranceId !== line.messageId) {
+            updateInterimCaption(participant, { utteranceId: line.messageId, text: line.original, lang: line.sourceLang });
+            caption = participant.caption;
+        }
+        caption.lineId = line.id;
+        caption.original = line.original;
+        caption.pending = '';
+        caption.isFinal = true;
+        renderCaption(participant);
+        if (line.translationStatus === null) {
+            finishFinalCaption(participant, line);
+        }
+    }
+
+    function finishFinalCaption(participant, line) {
+        const { caption } = participant;
+        if (caption?.lineId !== line.id || caption.hideTimer) return;
+        if (line.translation) {
+            caption.finalTranslation = line.translation;
+            renderCaption(participant);
+        }
+        caption.hideTimer = setTimeout(() => hideCaption(participant), CAPTION_HOLD_MS);
+    }
+
+    function renderCaption(participant) {
+        const { caption } = participant;
+        participant.captionOriginal.textContent = getTextTail(caption.original);
+        if (caption.sourceLang === caption.targetLang) {
+            participant.captionTranslation.textContent = '';
+        } else {
+            const translation = caption.finalTranslation
+                ?? [...caption.translations.map(segment => segment ?? '…'), ...(caption.pending ? ['…'] : [])].join(' ');
+            participant.captionTranslation.textContent = getTextTail(translation);
+        }
+        participant.tile.classList.add('captioning');
+    }
+
+    function hideCaption(participant) {
+        if (!participant.caption) return;
+        clearTimeout(participant.caption.hideTimer);
+        participant.caption = null;
+        participant.tile.classList.remove('captioning');
+    }
+
+    function getTextTail(text) {
+        if (text.length <= CAPTION_MAX_LENGTH) return text;
+        const tail = text.slice(-CAPTION_MAX_LENGTH);
+        return `…${tail.slice(tail.indexOf(' ') + 1)}`;
+    }
+
+    // --- Text Chat ---
+
+    function sendChatMessage() {
+        const text = chatInput.value.trim();
+        if (!text || !isMeetingActive) return;
+
+        meetingSession.sendChat(text);
+        chatInput.value = '';
+    }
+
+    function isTypingTarget(target) {
+        return target instanceof HTMLElement
+            && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    }
+
+    // --- Language Negotiation ---
+
+    function loadLanguageSettings() {
+        const defaults = { spokenLang: 'English', readingLang: 'English' };
+        try {
+            const stored = JSON.parse(localStorage.getItem(LANGUAGE_SETTINGS_STORAGE_KEY)) || {};
+            const isKnown = (name) => LANGUAGES.some(language => language.name === name);
+            return {
+                spokenLang: isKnown(stored.spokenLang) ? stored.spokenLang : defaults.spokenLang,
+                readingLang: isKnown(stored.readingLang) ? stored.readingLang : defaults.readingLang,
+            };
+        } catch (e) {
+            console.error("Failed to read language settings:", e);
+            return defaults;
+        }
+    }
+
+    function handleLanguageChange() {
+        localStorage.setItem(LANGUAGE_SETTINGS_STORAGE_KEY, JSON.stringify({
+            spokenLang: spokenLangSelect.value,
+            readingLang: readingLangSelect.value,
+        }));
+        participants.forEach(populateVoiceSelect);
+        meetingSession?.setLanguages({ spokenLang: spokenLangSelect.value, readingLang: readingLangSelect.value });
+        addLanguageToHistory(spokenLangSelect.value);
+    }
+
+    function updateParticipantNameTag(participant) {
+        participant.nameTag.textContent = participant.spokenLang
+            ? `${participant.name} · ${participant.spokenLang}`
+            : participant.name;
+    }
+
+    // --- Spoken Translations ---
+
+    function loadSpeechSettings() {
+        const defaults = { enabled: false, participants: {} };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(SPEECH_SETTINGS_STORAGE_KEY)) };
+        } catch (e) {
+            console.error("Failed to read speech settings:", e);
+            return defaults;
+        }
+    }
+
+    function saveSpeechSettings() {
+        localStorage.setItem(SPEECH_SETTINGS_STORAGE_KEY, JSON.stringify(speechSettings));
+    }
+
+    function toggleSpokenTranslations() {
+        speechSettings.enabled = !speechSettings.enabled;
+        saveSpeechSettings();
+        if (!speechSettings.enabled) {
+            cancelSpeech();
+        }
+        updateSpeakTranslationsButton();
+    }
+
+    function updateSpeakTranslationsButton() {
+        speakTranslationsBtn.textContent = `Spoken Translation: ${speechSettings.enabled ? 'On' : 'Off'}`;
+        speakTranslationsBtn.classList.toggle('active', speechSettings.enabled);
+        speakTranslationsBtn.setAttribute('aria-pressed', String(speechSettings.enabled));
     }
 
+    function getParticipantSpeechPreferences(participant) {
+        return { voiceURI: '', volume: 1, ...speechSettings.participants[participant.name] };
+    }
+
+    function setParticipantSpeechPreferences(participant, changes) {
+        speechSettings.participants[participant.name] = { ...getParticipantSpeechPreferences(participant), ...changes };
+        saveSpeechSettings();
+    }
+
+    function applyParticipantSpeechPreferences(participant) {
+        if (!isSpeechSupported()) return;
+        participant.volumeInput.value = Math.round(getParticipantSpeechPreferences(participant).volume * 100);
+        populateVoiceSelect(participant);
+    }
 
-    function handleLocalTranscription(text) {
-        localTranscriptionBuffer += text;
+    // Offers the voices for our own language, the one translations are read in.
+    function populateVoiceSelect(participant) {
+        if (!isSpeechSupported()) return;
+        const { voiceURI } = getParticipantSpeechPreferences(participant);
+        const voices = getVoicesForLanguage(getLanguageCode(readingLangSelect.value));
+        participant.voiceSelect.replaceChildren(
+            new Option('Default voice', ''),
+            ...voices.map(voice => new Option(voice.name, voice.voiceURI)),
+        );
+        participant.voiceSelect.value = voices.some(voice => voice.voiceURI === voiceURI) ? voiceURI : '';
     }
 
-    async function appendAndTranslate(text, speaker) {
+    async function speakTranslation(line, participant) {
+        if (!speechSettings.enabled || !line.translation) return;
+
+        const { voiceURI, volume } = getParticipantSpeechPreferences(participant);
+        let isDucked = false;
+        await speak({
+            text: line.translation,
+            languageCode: getLanguageCode(line.targetLang),
+            voiceURI,
+            volume,
+            onStart: () => {
+                isDucked = true;
+                duckParticipantAudio(participant, true);
+            },
+        });
+        if (isDucked) {
+            duckParticipantAudio(participant, false);
+        }
+    }
+
+    function duckParticipantAudio(participant, isDucking) {
+        participant.duckCount += isDucking ? 1 : -1;
+        participant.video.volume = participant.duckCount > 0 ? DUCKED_VOLUME : 1;
+    }
+
+    function createTranscriptLineElement(line, pendingTranslationText = '[No Translation]') {
         const lineEl = document.createElement('div');
         lineEl.className = 'transcription-line';
 
         const speakerSpan = document.createElement('span');
         speakerSpan.className = 'speaker';
-        speakerSpan.textContent = `${speaker === 'You' ? localName : remoteName}:`;
+        speakerSpan.textContent = `${line.speaker}:`;
+        lineEl.appendChild(speakerSpan);
+
+        // Typed lines are marked so they are not mistaken for (possibly garbled) speech.
+        if (line.kind === 'chat') {
+            lineEl.classList.add('chat');
+            const badge = document.createElement('span');
+            badge.className = 'line-badge';
+            badge.textContent = 'typed';
+            lineEl.appendChild(badge);
+        }
+
+        if (line.editedAt) {
+            lineEl.appendChild(createEditedBadge(line));
+        }
 
         const originalTextSpan = document.createElement('span');
         originalTextSpan.className = 'original-text';
-        originalTextSpan.textContent = text;
+        renderGlossaryText(originalTextSpan, line.original, line.glossaryTerms, 'sourceTerm');
         
         const translatedTextSpan = document.createElement('span');
         translatedTextSpan.className = 'translated-text';
-        translatedTextSpan.textContent = 'Translating...';
+        if (line.translation) {
+            renderGlossaryText(translatedTextSpan, line.translation, line.glossaryTerms, 'targetTerm');
+        } else {
+            translatedTextSpan.textContent = pendingTranslationText;
+        }
 
-        lineEl.appendChild(speakerSpan);
         lineEl.appendChild(originalTextSpan);
         lineEl.appendChild(translatedTextSpan);
-        transcriptionPanel.appendChild(lineEl);
-        transcriptionPanel.scrollTop = transcriptionPanel.scrollHeight;
+        return { lineEl, originalTextSpan, translatedTextSpan };
+    }
 
+
+    // Highlights the glossary terms of `text`. `side` is 'sourceTerm' for the
+    // original and 'targetTerm' for the translation.
+    function renderGlossaryText(element, text, glossaryTerms = [], side) {
+        const segments = splitByTerms(text, glossaryTerms.map(term => term[side]));
+        element.replaceChildren(...segments.map(segment => {
+            if (!segment.term) return document.createTextNode(segment.text);
+            const glossaryTerm = glossaryTerms.find(term => term[side] === segment.term);
+            const mark = document.createElement('mark');
+            mark.className = 'glossary-term';
+            mark.title = `Glossary: ${glossaryTerm.sourceTerm} → ${glossaryTerm.targetTerm}`;
+            mark.textContent = segment.text;
+            return mark;
+        }));
+    }
+
+    // --- Glossary ---
+
+    function addGlossaryEntry() {
+        const entry = createGlossaryEntry({
+            sourceLang: glossarySourceLangSelect.value,
+            sourceTerm: glossarySourceTermInput.value,
+            targetLang: glossaryTargetLangSelect.value,
+            targetTerm: glossaryTargetTermInput.value,
+        });
+        if (!entry.sourceTerm || !entry.targetTerm) return;
+
+        updateGlossary(mergeGlossaryEntries(glossaryEntries, [entry]));
+        glossarySourceTermInput.value = '';
+        glossaryTargetTermInput.value = '';
+        glossarySourceTermInput.focus();
+    }
+
+    function deleteGlossaryEntry(id) {
+        updateGlossary(glossaryEntries.filter(entry => entry.id !== id));
+    }
+
+    function updateGlossary(entries) {
+        glossaryEntries = entries;
+        saveGlossary(glossaryEntries);
+        meetingSession?.setGlossary(glossaryEntries);
+        renderGlossaryList();
+    }
+
+    function renderGlossaryList() {
+        const lang = glossaryFilterSelect.value;
+        const entries = glossaryEntries
+            .filter(entry => !lang || entry.sourceLang === lang || entry.targetLang === lang)
+            .sort((a, b) => a.sourceTerm.localeCompare(b.sourceTerm));
+
+        if (entries.length === 0) {
+            const emptyItem = document.createElement('li');
+            emptyItem.className = 'glossary-empty';
+            emptyItem.textContent = 'No glossary terms yet.';
+            glossaryList.replaceChildren(emptyItem);
+            return;
+        }
+        glossaryList.replaceChildren(...entries.map(entry => {
+            const item = document.createElement('li');
+            item.className = 'glossary-item';
+
+            const text = document.createElement('span');
+            text.className = 'glossary-item-text';
+            text.textContent = `${entry.sourceTerm} → ${entry.targetTerm} `;
+            const langs = document.createElement('span');
+            langs.className = 'glossary-item-lang';
+            langs.textContent = `${entry.sourceLang} → ${entry.targetLang}`;
+            text.appendChild(langs);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => deleteGlossaryEntry(entry.id));
+
+            item.appendChild(text);
+            item.appendChild(deleteBtn);
+            return item;
+        }));
+    }
+
+    async function importGlossary() {
+        const [file] = glossaryImportInput.files;
+        glossaryImportInput.value = '';
+        if (!file) return;
         try {
-            const response = await ai.models.generateContent({
-                model: 'gemini-2.5-flash',
-                contents: [{ parts: [{ text: text }] }],
-                config: { systemInstruction: getSystemInstruction() }
-            });
-            const translation = response.text;
-            translatedTextSpan.textContent = translation ? translation.trim() : '[No Translation]';
+            const { entries, skippedRows } = glossaryFromCsv(await file.text());
+            updateGlossary(mergeGlossaryEntries(glossaryEntries, entries));
+            glossaryImportStatus.textContent = skippedRows.length > 0
+                ? `Imported ${entries.length} terms. Skipped rows with an unknown language or a missing term: ${skippedRows.join(', ')}.`
+                : `Imported ${entries.length} terms.`;
         } catch (e) {
-            console.error("Translation API failed:", e);
-            translatedTextSpan.textContent = '[Translation Error]';
+            console.error("Failed to import glossary:", e);
+            glossaryImportStatus.textContent = 'Could not read the glossary file.';
+        }
+        glossaryImportStatus.style.display = 'block';
+    }
+
+    function exportGlossary() {
+        downloadFile('glossary.csv', glossaryToCsv(glossaryEntries), 'text/csv');
+    }
+
+    // --- Meeting History ---
+
+    async function recordMeetingStart() {
+        const record = {
+            meetingId,
+            startedAt: meetingStartedAt,
+            endedAt: null,
+            participants: [localName],
+            languages: [spokenLangSelect.value],
+        };
+        currentMeetingRecord = record;
+        try {
+            // Rejoining a meeting continues its existing history entry.
+            const existing = await getMeeting(meetingId);
+            if (existing) {
+                record.startedAt = existing.startedAt;
+                record.participants = Array.from(new Set([...existing.participants, ...record.participants]));
+                record.languages = Array.from(new Set([...(existing.languages ?? []), ...record.languages]));
+            }
+            await saveMeeting(record);
+        } catch (e) {
+            console.error("Failed to save meeting history:", e);
+        }
+    }
+
+    function addParticipantToHistory({ name, spokenLang }) {
+        if (!currentMeetingRecord) return;
+        const { participants: names, languages } = currentMeetingRecord;
+        if (names.includes(name) && (!spokenLang || languages.includes(spokenLang))) return;
+        if (!names.includes(name)) {
+            names.push(name);
+        }
+        if (spokenLang && !languages.includes(spokenLang)) {
+            languages.push(spokenLang);
+        }
+        saveMeeting(currentMeetingRecord).catch(e => console.error("Failed to save meeting history:", e));
+    }
+
+    function addLanguageToHistory(lang) {
+        if (!currentMeetingRecord || currentMeetingRecord.languages.includes(lang)) return;
+        currentMeetingRecord.languages.push(lang);
+        saveMeeting(currentMeetingRecord).catch(e => console.error("Failed to save meeting history:", e));
+    }
+
+    function recordMeetingEnd() {
+        if (!currentMeetingRecord) return;
+        currentMeetingRecord.endedAt = Date.now();
+        saveMeeting(currentMeetingRecord)
+            .then(() => historySection.open && refreshHistoryList())
+            .catch(e => console.error("Failed to save meeting history:", e));
+        currentMeetingRecord = null;
+    }
+
+    // Lines translated after the meeting ended, by a retry, are saved too.
+    function saveLineToHistory(line) {
+        if (!transcriptMeetingId) return;
+        saveLine(transcriptMeetingId, line).catch(e => console.error("Failed to save transcript line:", e));
+    }
+
+    async function refreshHistoryList() {
+        const query = historySearchInput.value.trim();
+        try {
+            const results = query
+                ? await searchHistory(query)
+                : (await listMeetings()).map(meeting => ({ meeting, lines: [] }));
+
+            if (results.length === 0) {
+                const emptyItem = document.createElement('li');
+                emptyItem.className = 'history-empty';
+                emptyItem.textContent = query ? 'No transcript lines match your search.' : 'No past meetings yet.';
+                historyList.replaceChildren(emptyItem);
+                return;
+            }
+            historyList.replaceChildren(...results.map(createHistoryItem));
+        } catch (e) {
+            console.error("Failed to load meeting history:", e);
+            showError('Could not load meeting history.');
+        }
+    }
+
+    function createHistoryItem({ meeting, lines }) {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+
+        const openBtn = document.createElement('button');
+        openBtn.className = 'history-item-title';
+        openBtn.textContent = formatHistoryTitle(meeting);
+        openBtn.addEventListener('click', () => openHistoryMeeting(meeting));
+        item.appendChild(openBtn);
+
+        // Search results list the matching lines under their meeting.
+        lines.forEach(line => item.appendChild(createTranscriptLineElement(line).lineEl));
+        return item;
+    }
+
+    function formatHistoryTitle(meeting) {
+        const participants = meeting.participants.join(', ');
+        const languages = meeting.languages ?? [meeting.sourceLang, meeting.targetLang];
+        return `${new Date(meeting.startedAt).toLocaleString()} · ${participants} · ${languages.join(' ↔ ')}`;
+    }
+
+    async function openHistoryMeeting(meeting) {
+        try {
+            const lines = await getMeetingLines(meeting.meetingId);
+            viewedHistoryMeetingId = meeting.meetingId;
+            historyViewerTitle.textContent = formatHistoryTitle(meeting);
+            historyTranscript.replaceChildren(...lines.map(line => createTranscriptLineElement(line).lineEl));
+            historyListView.style.display = 'none';
+            historyViewer.style.display = 'flex';
+        } catch (e) {
+            console.error("Failed to open meeting transcript:", e);
+            showError('Could not open the meeting transcript.');
+        }
+    }
+
+    function closeHistoryMeeting() {
+        viewedHistoryMeetingId = null;
+        historyTranscript.innerHTML = '';
+        historyViewer.style.display = 'none';
+        historyListView.style.display = 'flex';
+    }
+
+    async function deleteViewedHistoryMeeting() {
+        if (!viewedHistoryMeetingId || !confirm('Delete this meeting and its transcript from your history?')) return;
+        try {
+            await deleteMeeting(viewedHistoryMeetingId);
+            closeHistoryMeeting();
+            refreshHistoryList();
+        } catch (e) {
+            console.error("Failed to delete meeting:", e);
+            showError('Could not delete the meeting from history.');
         }
     }
 
@@ -526,6 +2120,103 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    function updateExportControls() {
+        exportTranscriptBtn.disabled = transcriptLines.length === 0;
+        summarizeBtn.disabled = transcriptLines.length === 0 || isSummarizing || !ai;
+    }
+
+    // --- Meeting Summary ---
+
+    async function summarizeMeeting() {
+        if (transcriptLines.length === 0 || isSummarizing || !ai) return;
+
+        const lines = transcriptLines.slice();
+        // Our reading language first, then every other language spoken or read in the meeting.
+        const languages = Array.from(new Set([
+            readingLangSelect.value,
+            ...lines.flatMap(line => [line.sourceLang, line.targetLang]),
+        ].filter(Boolean)));
+        const speakers = Array.from(new Set([localName, ...lines.map(line => line.speaker)]));
+        const meta = { meetingId: transcriptMeetingId, startedAt: meetingStartedAt };
+
+        isSummarizing = true;
+        updateExportControls();
+        summaries = [];
+        summaryLanguageSelect.replaceChildren();
+        copySummaryBtn.disabled = true;
+        downloadSummaryBtn.disabled = true;
+        summaryContent.textContent = 'Generating summary...';
+        summaryPanel.style.display = 'flex';
+
+        try {
+            const result = await generateMeetingSummary(ai, { lines, languages, participants: speakers });
+            summaries = result.summaries.map(summary => ({
+                language: summary.language,
+                markdown: formatSummaryMarkdown(summary, meta),
+            }));
+            summaryMeta = meta;
+            summaries.forEach(({ language }, index) => summaryLanguageSelect.add(new Option(language, index)));
+            copySummaryBtn.disabled = false;
+            downloadSummaryBtn.disabled = false;
+            renderSummary();
+        } catch (e) {
+            console.error("Failed to generate meeting summary:", e);
+            summaryContent.textContent = 'Could not generate the summary. Please try again.';
+        } finally {
+            isSummarizing = false;
+            updateExportControls();
+        }
+    }
+
+    function renderSummary() {
+        summaryContent.textContent = summaries[Number(summaryLanguageSelect.value)]?.markdown ?? '';
+    }
+
+    function copySummary() {
+        const summary = summaries[Number(summaryLanguageSelect.value)];
+        if (!summary) return;
+        navigator.clipboard.writeText(summary.markdown).then(() => {
+            copySummaryBtn.textContent = 'Copied!';
+            setTimeout(() => {
+                copySummaryBtn.textContent = 'Copy';
+            }, 3000);
+        }).catch(err => {
+            console.error('Failed to copy summary: ', err);
+            showError('Could not copy the summary to clipboard.');
+        });
+    }
+
+    // The download holds every language, one after the other.
+    function downloadSummary() {
+        if (summaries.length === 0) return;
+        const content = summaries.map(({ markdown }) => markdown).join('\n---\n\n');
+        const date = new Date(summaryMeta.startedAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+        downloadFile(`meeting-summary-${date}.md`, content, 'text/markdown');
+    }
+
+    function exportTranscript() {
+        if (transcriptLines.length === 0) return;
+
+        const formatId = exportFormatSelect.value;
+        const { extension, mimeType } = EXPORT_FORMATS[formatId];
+        const content = formatTranscript(formatId, {
+            meetingId: transcriptMeetingId,
+            startedAt: meetingStartedAt,
+            lines: transcriptLines,
+        });
+        const date = new Date(meetingStartedAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+        downloadFile(`meeting-transcript-${date}.${extension}`, content, mimeType);
+    }
+
+    function downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     function updateStatus(status, text) {
         statusIndicator.dataset.status = status;
         statusText.textContent = text;
@@ -574,23 +2265,4 @@ document.addEventListener('DOMContentLoaded', () => {
     function hideError() {
         errorContainer.style.display = 'none';
     }
-
-    function encode(bytes) {
-        let binary = '';
-        for (let i = 0; i < bytes.byteLength; i++) {
-            binary += String.fromCharCode(bytes[i]);
-        }
-        return btoa(binary);
-    }
-
-    function createBlob(data) {
-        const int16 = new Int16Array(data.length);
-        for (let i = 0; i < data.length; i++) {
-            int16[i] = data[i] * 32768;
-        }
-        return {
-            data: encode(new Uint8Array(int16.buffer)),
-            mimeType: 'audio/pcm;rate=16000',
-        };
-    }
 });
@@ -0,0 +1,43 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Languages offered in the language selects. `name` is what the UI shows and
+// what we put into model prompts; `code` is the ISO 639-1 code used by
+// code-based translation APIs.
+export const LANGUAGES = [
+    { name: 'Arabic', code: 'ar' },
+    { name: 'Bengali', code: 'bn' },
+    { name: 'Bulgarian', code: 'bg' },
+    { name: 'Chinese', code: 'zh' },
+    { name: 'Czech', code: 'cs' },
+    { name: 'Dutch', code: 'nl' },
+    { name: 'English', code: 'en' },
+    { name: 'French', code: 'fr' },
+    { name: 'German', code: 'de' },
+    { name: 'Greek', code: 'el' },
+    { name: 'Hindi', code: 'hi' },
+    { name: 'Hungarian', code: 'hu' },
+    { name: 'Indonesian', code: 'id' },
+    { name: 'Italian', code: 'it' },
+    { name: 'Japanese', code: 'ja' },
+    { name: 'Korean', code: 'ko' },
+    { name: 'Persian', code: 'fa' },
+    { name: 'Polish', code: 'pl' },
+    { name: 'Portuguese', code: 'pt' },
+    { name: 'Romanian', code: 'ro' },
+    { name: 'Russian', code: 'ru' },
+    { name: 'Spanish', code: 'es' },
+    { name: 'Swedish', code: 'sv' },
+    { name: 'Thai', code: 'th' },
+    { name: 'Turkish', code: 'tr' },
+    { name: 'Ukrainian', code: 'uk' },
+    { name: 'Urdu', code: 'ur' },
+    { name: 'Uzbek', code: 'uz' },
+    { name: 'Vietnamese', code: 'vi' },
+];
+
+export function getLanguageCode(name) {
+    return LANGUAGES.find(language => language.name === name)?.code;
+}
@@ -0,0 +1,117 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Camera and microphone selection.
+//
+// Preferences are `{ audioInputId, videoInputId, audioOnly }`, where an empty
+// device ID means the browser's default device. A remembered device that has
+// since been unplugged falls back to the default instead of failing.
+
+const PREFERENCES_STORAGE_KEY = 'devicePreferences';
+// getUserMedia errors that mean the camera cannot be used, while the microphone still might.
+const CAMERA_UNAVAILABLE_ERRORS = ['NotFoundError', 'NotReadableError', 'OverconstrainedError', 'AbortError'];
+const BLANK_VIDEO_WIDTH = 320;
+const BLANK_VIDEO_HEIGHT = 180;
+
+export function loadDevicePreferences() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.error("Failed to read device preferences:", e);
+    }
+    return {
+        audioInputId: stored.audioInputId ?? '',
+        videoInputId: stored.videoInputId ?? '',
+        audioOnly: Boolean(stored.audioOnly),
+    };
+}
+
+export function saveDevicePreferences(preferences) {
+    localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+}
+
+// Resolves to `{ audioInputs, videoInputs }`. Labels are empty until the user
+// has granted access to the devices once.
+export async function listMediaDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return {
+        audioInputs: devices.filter(device => device.kind === 'audioinput' && device.deviceId),
+        videoInputs: devices.filter(device => device.kind === 'videoinput' && device.deviceId),
+    };
+}
+
+// Constraints for one audio or video device. `exact` is used when switching
+// devices, where silently getting another device would be wrong.
+export function getDeviceConstraints(deviceId, { exact = false } = {}) {
+    return deviceId ? { deviceId: exact ? { exact: deviceId } : { ideal: deviceId } } : true;
+}
+
+// Opens the microphone and, unless `audioOnly`, the camera. A missing or busy
+// camera does not stop the microphone from being used: the stream then has
+// audio only and `cameraError` says why. Microphone errors are thrown.
+export async function openMediaStream({ audioInputId, videoInputId, audioOnly }) {
+    const audio = getDeviceConstraints(audioInputId);
+    if (audioOnly) {
+        return { stream: await navigator.mediaDevices.getUserMedia({ audio }), cameraError: null };
+    }
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio, video: getDeviceConstraints(videoInputId) });
+        return { stream, cameraError: null };
+    } catch (error) {
+        if (!(error instanceof Error && CAMERA_UNAVAILABLE_ERRORS.includes(error.name))) {
+            throw error;
+        }
+        // Retrying tells apart a missing camera from a missing microphone.
+        const stream = await navigator.mediaDevices.getUserMedia({ audio });
+        return { stream, cameraError: error };
+    }
+}
+
+// Calls `onLevel` with the microphone level (0..1) on every animation frame
+// until closed.
+export function createLevelMeter(stream, onLevel) {
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    const source = context.createMediaStreamSource(stream);
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    source.connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+
+    let frame = requestAnimationFrame(function measure() {
+        analyser.getFloatTimeDomainData(samples);
+        let peak = 0;
+        for (const sample of samples) {
+            peak = Math.max(peak, Math.abs(sample));
+        }
+        onLevel(peak);
+        frame = requestAnimationFrame(measure);
+    });
+    if (context.state === 'suspended') {
+        context.resume().catch(e => console.warn("Could not start the level meter:", e));
+    }
+
+    return {
+        close() {
+            cancelAnimationFrame(frame);
+            source.disconnect();
+            onLevel(0);
+            return context.state === 'closed' ? Promise.resolve() : context.close();
+        },
+    };
+}
+
+// A black video track. It is sent while the camera is off, so every call
+// keeps a video sender that a camera or a shared screen can later take over
+// without renegotiating.
+export function createBlankVideoTrack() {
+    const canvas = document.createElement('canvas');
+    canvas.width = BLANK_VIDEO_WIDTH;
+    canvas.height = BLANK_VIDEO_HEIGHT;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    return canvas.captureStream(1).getVideoTracks()[0];
+}
@@ -0,0 +1,119 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Persists past meetings and their transcript lines in IndexedDB.
+//
+// Two object stores are used: `meetings` holds one record per meeting ID
+// (participants, start/end time, spoken languages) and `lines` holds every
+// transcript line, indexed by the meeting it belongs to.
+
+const DB_NAME = 'meetingHistory';
+const DB_VERSION = 1;
+const MEETINGS_STORE = 'meetings';
+const LINES_STORE = 'lines';
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const meetings = db.createObjectStore(MEETINGS_STORE, { keyPath: 'meetingId' });
+                meetings.createIndex('startedAt', 'startedAt');
+                const lines = db.createObjectStore(LINES_STORE, { keyPath: 'id' });
+                lines.createIndex('meetingId', 'meetingId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later call to retry if opening failed (e.g. private browsing).
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    const completed = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await callback(transaction.objectStore(storeName));
+    await completed;
+    return result;
+}
+
+export function saveMeeting(meeting) {
+    return withStore(MEETINGS_STORE, 'readwrite', store => promisifyRequest(store.put(meeting)));
+}
+
+export function getMeeting(meetingId) {
+    return withStore(MEETINGS_STORE, 'readonly', store => promisifyRequest(store.get(meetingId)));
+}
+
+export function saveLine(meetingId, line) {
+    return withStore(LINES_STORE, 'readwrite', store => promisifyRequest(store.put({ ...line, meetingId })));
+}
+
+// Returns all meetings, most recent first.
+export async function listMeetings() {
+    const meetings = await withStore(MEETINGS_STORE, 'readonly', store => promisifyRequest(store.getAll()));
+    return meetings.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+export async function getMeetingLines(meetingId) {
+    const lines = await withStore(LINES_STORE, 'readonly', store =>
+        promisifyRequest(store.index('meetingId').getAll(meetingId)));
+    return lines.sort((a, b) => a.startedAt - b.startedAt);
+}
+
+// Case-insensitive full-text search over original and translated text.
+// Resolves to `[{ meeting, lines }]` where `lines` are the matching lines,
+// ordered like `listMeetings`.
+export async function searchHistory(query) {
+    const needle = query.trim().toLocaleLowerCase();
+    if (!needle) return [];
+
+    const [meetings, lines] = await Promise.all([
+        listMeetings(),
+        withStore(LINES_STORE, 'readonly', store => promisifyRequest(store.getAll())),
+    ]);
+
+    const matchesByMeeting = new Map();
+    lines
+        .filter(line => [line.original, line.translation]
+            .some(text => text?.toLocaleLowerCase().includes(needle)))
+        .forEach(line => {
+            if (!matchesByMeeting.has(line.meetingId)) {
+                matchesByMeeting.set(line.meetingId, []);
+            }
+            matchesByMeeting.get(line.meetingId).push(line);
+        });
+
+    return meetings
+        .filter(meeting => matchesByMeeting.has(meeting.meetingId))
+        .map(meeting => ({
+            meeting,
+            lines: matchesByMeeting.get(meeting.meetingId).sort((a, b) => a.startedAt - b.startedAt),
+        }));
+}
+
+export async function deleteMeeting(meetingId) {
+    const lines = await getMeetingLines(meetingId);
+    await withStore(LINES_STORE, 'readwrite', store =>
+        Promise.all(lines.map(line => promisifyRequest(store.delete(line.id)))));
+    await withStore(MEETINGS_STORE, 'readwrite', store => promisifyRequest(store.delete(meetingId)));
+}
@@ -0,0 +1,197 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Records the meeting into a WebM file.
+//
+// Every participant's video is drawn side by side onto a canvas, with the
+// latest transcript lines burnt in as captions below, and all audio is mixed
+// into a single track. Participants may join and leave while recording:
+// `getSources()` is polled and must return the current `{ name, video, stream }`
+// of everyone, where `video` is a playing <video> element and `stream` carries
+// their audio.
+
+const WIDTH = 1280;
+const HEIGHT = 720;
+const FRAME_RATE = 25;
+const CAPTION_AREA_HEIGHT = 170;
+const CAPTION_DURATION_MS = 8000;
+const MAX_CAPTIONS = 2;
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+export function isRecordingSupported() {
+    return 'MediaRecorder' in window && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+}
+
+export class MeetingRecorder {
+    constructor(getSources) {
+        this.getSources = getSources;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = WIDTH;
+        this.canvas.height = HEIGHT;
+        this.context = this.canvas.getContext('2d');
+        this.audioContext = null;
+        this.audioDestination = null;
+        // Audio sources keyed by MediaStream id.
+        this.audioSources = new Map();
+        // Transcript line records, newest last. Their translation is read when
+        // drawing, so captions update once it arrives.
+        this.captions = [];
+        this.chunks = [];
+        this.mediaRecorder = null;
+        this.frameTimer = null;
+    }
+
+    start() {
+        this.audioContext = new AudioContext();
+        this.audioDestination = this.audioContext.createMediaStreamDestination();
+        this.syncAudioSources();
+        this.drawFrame();
+        this.frameTimer = setInterval(() => {
+            this.syncAudioSources();
+            this.drawFrame();
+        }, 1000 / FRAME_RATE);
+
+        const stream = new MediaStream([
+            ...this.canvas.captureStream(FRAME_RATE).getVideoTracks(),
+            ...this.audioDestination.stream.getAudioTracks(),
+        ]);
+        const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        this.mediaRecorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        });
+        // Collect data every second so little is lost if the tab crashes.
+        this.mediaRecorder.start(1000);
+    }
+
+    // Resolves to the recorded WebM blob.
+    stop() {
+        return new Promise(resolve => {
+            const finish = () => {
+                clearInterval(this.frameTimer);
+                this.mediaRecorder.stream.getTracks().forEach(track => track.stop());
+                this.audioContext.close().catch(e => console.error("Error closing recording audio:", e));
+                resolve(new Blob(this.chunks, { type: this.mediaRecorder.mimeType || 'video/webm' }));
+            };
+            if (this.mediaRecorder.state === 'inactive') {
+                finish();
+                return;
+            }
+            this.mediaRecorder.addEventListener('stop', finish, { once: true });
+            this.mediaRecorder.stop();
+        });
+    }
+
+    addCaption(line) {
+        this.captions.push({ line, shownAt: Date.now() });
+        this.captions = this.captions.slice(-MAX_CAPTIONS);
+    }
+
+    syncAudioSources() {
+        const streams = this.getSources()
+            .map(source => source.stream)
+            .filter(stream => stream?.getAudioTracks().length > 0);
+        const currentIds = new Set(streams.map(stream => stream.id));
+
+        this.audioSources.forEach((node, id) => {
+            if (!currentIds.has(id)) {
+                node.disconnect();
+                this.audioSources.delete(id);
+            }
+        });
+        streams.forEach(stream => {
+            if (!this.audioSources.has(stream.id)) {
+                const node = this.audioContext.createMediaStreamSource(stream);
+                node.connect(this.audioDestination);
+                this.audioSources.set(stream.id, node);
+            }
+        });
+    }
+
+    drawFrame() {
+        const ctx = this.context;
+        ctx.fillStyle = '#1e1e1e';
+        ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+        const sources = this.getSources();
+        const columns = Math.max(1, Math.ceil(Math.sqrt(sources.length)));
+        const rows = Math.max(1, Math.ceil(sources.length / columns));
+        const tileWidth = WIDTH / columns;
+        const tileHeight = (HEIGHT - CAPTION_AREA_HEIGHT) / rows;
+
+        sources.forEach((source, index) => {
+            const x = (index % columns) * tileWidth;
+            const y = Math.floor(index / columns) * tileHeight;
+            this.drawTile(source, x, y, tileWidth, tileHeight);
+        });
+        this.drawCaptions(HEIGHT - CAPTION_AREA_HEIGHT);
+    }
+
+    drawTile({ name, video }, x, y, width, height) {
+        const ctx = this.context;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(x + 2, y + 2, width - 4, height - 4);
+
+        if (video && video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA && video.videoWidth > 0) {
+            // Letterboxed, so shared documents are not cropped.
+            const scale = Math.min((width - 4) / video.videoWidth, (height - 4) / video.videoHeight);
+            const drawWidth = video.videoWidth * scale;
+            const drawHeight = video.videoHeight * scale;
+            ctx.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+        }
+
+        ctx.font = '600 18px sans-serif';
+        const labelWidth = ctx.measureText(name).width + 16;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(x + 10, y + height - 40, labelWidth, 28);
+        ctx.fillStyle = '#fff';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(name, x + 18, y + height - 26);
+    }
+
+    drawCaptions(top) {
+        const ctx = this.context;
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, top, WIDTH, CAPTION_AREA_HEIGHT);
+
+        const now = Date.now();
+        const visible = this.captions.filter(caption => now - caption.shownAt < CAPTION_DURATION_MS);
+        const blockHeight = CAPTION_AREA_HEIGHT / MAX_CAPTIONS;
+        ctx.textBaseline = 'top';
+
+        visible.forEach(({ line }, index) => {
+            const y = top + 10 + index * blockHeight;
+            ctx.font = 'bold 20px sans-serif';
+            ctx.fillStyle = '#82aaff';
+            const speaker = `${line.speaker}: `;
+            ctx.fillText(speaker, 20, y);
+            const textX = 20 + ctx.measureText(speaker).width;
+
+            ctx.font = '20px sans-serif';
+            ctx.fillStyle = '#fff';
+            ctx.fillText(fitText(ctx, line.original, WIDTH - textX - 20), textX, y);
+            if (line.translation) {
+                ctx.fillStyle = '#c3e88d';
+                ctx.fillText(fitText(ctx, line.translation, WIDTH - textX - 20), textX, y + 30);
+            }
+        });
+    }
+}
+
+// Shortens `text` to the last words that fit in `maxWidth`, since the end of
+// a line is what was said most recently.
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    const words = text.split(/\s+/);
+    let fitted = '';
+    for (let i = words.length - 1; i >= 0; i--) {
+        const candidate = `${words[i]} ${fitted}`.trim();
+        if (ctx.measureText(`…${candidate}`).width > maxWidth) break;
+        fitted = candidate;
+    }
+    return `…${fitted}`;
+}
@@ -0,0 +1,1505 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import Peer from 'peerjs';
+import { GoogleGenAI, Modality } from "@google/genai";
+import { createAudioCapture, encodePcmChunk } from './audio-capture.js';
+import { VoiceActivityDetector } from './voice-activity.js';
+import { createTranslationProvider } from './translation-providers.js';
+import { TranslationQueue } from './translation-queue.js';
+import { TranslationCache } from './translation-cache.js';
+import { findGlossaryMatches } from './glossary.js';
+import { protectTokens, restoreTokens, isOnlyTokens } from './protected-tokens.js';
+import { getPeerOptions, DEFAULT_ICE_SERVERS } from './connection-settings.js';
+import { createCompanionAi, createLiveAi, CompanionServerError } from './companion-client.js';
+import { openMediaStream, getDeviceConstraints, createBlankVideoTrack } from './media-devices.js';
+import { collectCallStats, rateCallQuality, VideoQualityAdapter, VIDEO_QUALITY_LEVELS } from './call-stats.js';
+import { Backoff } from './backoff.js';
+
+// The meeting itself, without any UI: the peer connections and the lobby,
+// live transcription of our speech and translation of the transcript. The
+// app in index.js and the <online-meeting> element are both built on it.
+//
+//     const session = new MeetingSession({ apiKey, name: 'Sales', spokenLang: 'English', readingLang: 'Chinese' });
+//     session.addEventListener('line', ({ detail }) => render(detail.line));
+//     const meetingId = await session.create();
+//
+// Events, all CustomEvents with the payload in `detail`:
+//     statuschange        { status, text }; status is one of 'idle', 'connecting',
+//                         'waiting', 'ready', 'listening', 'reconnecting', 'error'
+//     talkingchange       { isTalking }, when our utterance opens or closes
+//     meetingstarted      { meetingId, isHost }
+//     localstream         { stream, cameraError }, at the start and after the
+//                         microphone or camera changed
+//     screensharechange   { stream }, our shared screen, null once it stopped
+//     participantjoined   { participant }
+//     participantupdated  { participant }, after a profile, stream or mute change
+//     participantreconnecting  { participant }, after their connection dropped
+//     participantreconnected   { participant }
+//     participantleft     { participant }, after they left or could not be reconnected
+//     presentingchange    { participant, active }, when they start or stop sharing their screen
+//     recordingchange     { participant, active }, when they start or stop recording the meeting
+//     knock               { peerId, name }; the host decides with admit() or deny()
+//     knockended          { peerId }, once they were admitted or denied, or gave up
+//     interim             { participant, utteranceId, text, lang }, while they speak;
+//                         `text` is empty once they discarded the utterance
+//     utterancepending    { utterance }, with `reviewBeforeSend`: our finished utterance,
+//                         waiting for sendUtterance() or discardUtterance()
+//     line                { line }, a new transcript line
+//     lineupdated         { line }, when its translation status changed, or after
+//                         the speaker corrected it (`line.editedAt` is set)
+//     translationusage    { usage }, `{ requests, characters, cacheHits, failures }` so far
+//     callstats           { participant, stats, quality, videoLevel }, every few seconds
+//     videoqualitychange  { participant, videoLevel }, for the video we send them
+//     error               { message, error }
+//     ended               {}
+//
+// Participants in events are snapshots: `{ peerId, name, spokenLang,
+// readingLang, stream, isMuted, isCameraOff, isPresenting, isRecording,
+// isReconnecting }`. A line's `translationStatus` is 'pending', 'retrying',
+// 'done' or 'failed', or null if it needs no translation. `videoLevel` is an
+// index into VIDEO_QUALITY_LEVELS (call-stats.js).
+
+const LIVE_MODEL = 'gemini-2.5-flash-native-audio-preview-09-2025';
+const CONNECTION_TIMEOUT_MS = 15000;
+const CONNECTION_TIMEOUT_MESSAGE = 'Connection timed out. The peer may be unavailable or behind a restrictive firewall. A TURN server in Connection Settings can help.';
+// How long a connection from a peer that has not been admitted is held open.
+const LOBBY_WAIT_MS = 30000;
+// Wait for the last transcription chunks before an utterance is final.
+const FINALIZE_DELAY_MS = 500;
+const DEFAULT_CHUNK_MS = 100;
+// Audio kept from just before hands-free speech is detected, so the first syllable is not lost.
+const PRE_ROLL_MS = 300;
+const DEFAULT_NAME = 'Participant';
+// PeerJS errors after which the signalling connection is retried instead of ending the meeting.
+const TRANSIENT_PEER_ERRORS = ['network', 'server-error', 'socket-error', 'socket-closed', 'disconnected'];
+// How long a call may sit in ICE state 'disconnected' before it is treated as dropped.
+const ICE_DISCONNECT_GRACE_MS = 5000;
+const STATS_INTERVAL_MS = 2000;
+// Settings of a session that is given none. The app passes in what it has
+// stored; a page embedding <online-meeting> does not inherit it.
+const DEFAULT_DEVICE_PREFERENCES = { audioInputId: '', videoInputId: '', audioOnly: false };
+const DEFAULT_CONNECTION_SETTINGS = { peerServer: { host: '' }, iceServers: DEFAULT_ICE_SERVERS, relayOnly: false };
+const DEFAULT_TRANSLATION_SETTINGS = { providerId: 'gemini', configs: {} };
+
+export class MeetingSession extends EventTarget {
+    // Either `apiKey`, `ai` (a GoogleGenAI client) or `companion`
+    // (`{ serverUrl, accessToken }`, see companion-client.js) is required.
+    // `stream` is an already open microphone and camera stream, such as a
+    // device test's, which the session takes over. `devicePreferences`,
+    // `connectionSettings` and `translationSettings` are shaped as in
+    // media-devices.js, connection-settings.js and translation-providers.js.
+    constructor({
+        apiKey,
+        ai,
+        companion = null,
+        name = DEFAULT_NAME,
+        spokenLang = 'English',
+        readingLang = 'English',
+        passcode = '',
+        lobby = false,
+        handsFree = false,
+        chunkMs = DEFAULT_CHUNK_MS,
+        vadOptions = {},
+        reviewBeforeSend = false,
+        devicePreferences = DEFAULT_DEVICE_PREFERENCES,
+        audioOnly = devicePreferences.audioOnly,
+        stream = null,
+        connectionSettings = DEFAULT_CONNECTION_SETTINGS,
+        translationSettings = DEFAULT_TRANSLATION_SETTINGS,
+        translationCache = new TranslationCache(),
+        glossary = [],
+    } = {}) {
+        super();
+        this.companion = companion;
+        this.ai = ai ?? (companion ? createCompanionAi(companion) : apiKey ? new GoogleGenAI({ apiKey }) : null);
+        if (!this.ai) {
+            throw new Error('MeetingSession needs an apiKey, an ai client or companion server settings.');
+        }
+        this.name = name;
+        this.spokenLang = spokenLang;
+        this.readingLang = readingLang;
+        this.passcode = passcode;
+        this.isLobbyEnabled = lobby;
+        this.handsFree = handsFree;
+        this.chunkMs = chunkMs;
+        this.reviewBeforeSend = reviewBeforeSend;
+        this.devicePreferences = devicePreferences;
+        this.audioOnly = audioOnly;
+        this.connectionSettings = connectionSettings;
+        this.glossary = glossary;
+        this.setTranslationSettings(translationSettings);
+        this.translationQueue = new TranslationQueue();
+        this.translationCache = translationCache;
+        // Counted per meeting, to see how close a long meeting gets to the provider's quota.
+        this.translationUsage = { requests: 0, characters: 0, cacheHits: 0, failures: 0 };
+
+        this.status = 'idle';
+        this.meetingId = null;
+        this.isHost = false;
+        this.isActive = false;
+        this.isRoomJoined = false;
+        this.peer = null;
+        this.pendingStream = stream;
+        // Microphone plus camera, if it is on. Replaced by a new stream whenever
+        // a device changes.
+        this.localStream = null;
+        // While sharing, its video track is sent in place of the camera's.
+        this.screenStream = null;
+        // Sent in place of the camera while it is off, see createBlankVideoTrack().
+        this.blankVideoTrack = null;
+        this.isMuted = false;
+        this.isRecording = false;
+        // Remote participants keyed by peer ID, with their call and data connection.
+        this.participants = new Map();
+        // Connections from peers that have not been admitted yet, keyed by peer ID.
+        // The host decides on their knock; everyone else waits for the host's
+        // 'admit' message. Admitted peers may reconnect without knocking again.
+        this.lobby = new Map();
+        this.admittedPeers = new Set();
+        this.lines = [];
+
+        // Reconnection state, see setReconnecting().
+        this.reconnectingTasks = new Set();
+        this.signallingBackoff = new Backoff();
+        this.signallingReconnectTimer = null;
+        this.sessionBackoff = new Backoff();
+        this.sessionReconnectTimer = null;
+        this.statsTimer = null;
+
+        this.liveSession = null;
+        this.audioCapture = null;
+        this.audioPreRoll = [];
+        this.isTalking = false;
+        this.transcriptionBuffer = '';
+        // Identifies the utterance being spoken, so its interim captions can be replaced by the final line.
+        this.utteranceId = null;
+        this.talkStartedAt = null;
+        this.finalizeTimer = null;
+        this.voiceActivityDetector = new VoiceActivityDetector({
+            ...vadOptions,
+            onSpeechStart: () => this.startTalking(),
+            onSpeechEnd: () => this.stopTalking(),
+        });
+    }
+
+    // --- Public API ---
+
+    // Resolves to the new meeting's ID once it can be joined.
+    create() {
+        return this.start(crypto.randomUUID(), false);
+    }
+
+    // Resolves once connected to the meeting server; the host still has to
+    // let us in, which the 'statuschange' events follow.
+    join(meetingId) {
+        const id = meetingId?.trim();
+        if (!id) {
+            return Promise.reject(new Error('A meeting ID is required to join.'));
+        }
+        return this.start(id, true);
+    }
+
+    // In push-to-talk mode, speech is transcribed between startTalking() and stopTalking().
+    startTalking() {
+        if (!this.isActive || this.isTalking || !this.audioCapture || this.isMuted) return;
+        clearTimeout(this.finalizeTimer);
+        this.isTalking = true;
+        // Keep the start of a pending utterance if the speaker resumes talking.
+        if (!this.transcriptionBuffer) {
+            this.talkStartedAt = Date.now();
+            this.utteranceId = crypto.randomUUID();
+        }
+        this.emit('talkingchange', { isTalking: true });
+        this.refreshStatus();
+        if (this.handsFree) {
+            this.audioPreRoll.forEach(({ pcm }) => this.sendAudio(pcm));
+        }
+        this.audioPreRoll = [];
+    }
+
+    stopTalking() {
+        if (!this.isActive || !this.isTalking || !this.audioCapture) return;
+        this.isTalking = false;
+        this.emit('talkingchange', { isTalking: false });
+        this.refreshStatus();
+        // Send the partially filled chunk still buffered in the capture pipeline.
+        this.audioCapture.flush();
+
+        const talkEndedAt = Date.now();
+        clearTimeout(this.finalizeTimer);
+        this.finalizeTimer = setTimeout(() => {
+            const text = this.transcriptionBuffer.trim();
+            this.transcriptionBuffer = '';
+            if (!text) return;
+            const utterance = {
+                id: this.utteranceId,
+                text,
+                lang: this.spokenLang,
+                startedAt: this.talkStartedAt ?? talkEndedAt,
+                endedAt: talkEndedAt,
+            };
+            if (this.reviewBeforeSend) {
+                this.emit('utterancepending', { utterance });
+            } else {
+                this.sendUtterance(utterance);
+            }
+        }, FINALIZE_DELAY_MS);
+    }
+
+    // Sends an utterance from 'utterancepending', with its text as corrected.
+    sendUtterance({ id, text, lang, startedAt, endedAt }) {
+        const message = text?.trim();
+        if (!this.isActive || !message) return;
+        this.addLine({ text: message, lang, speaker: this.name, startedAt, endedAt, isLocal: true, messageId: id });
+        this.broadcast({ type: 'transcription', utteranceId: id, text: message, lang, startedAt, endedAt });
+    }
+
+    // The others have seen it as an interim caption, which is taken down again.
+    discardUtterance({ id }) {
+        this.broadcast({ type: 'utterance-discarded', utteranceId: id });
+    }
+
+    sendChat(text) {
+        const message = text?.trim();
+        if (!this.isActive || !message) return;
+        const sentAt = Date.now();
+        const messageId = crypto.randomUUID();
+        this.broadcast({ type: 'chat', messageId, text: message, lang: this.spokenLang, sentAt });
+        this.addLine({ text: message, lang: this.spokenLang, speaker: this.name, startedAt: sentAt, endedAt: sentAt, isLocal: true, kind: 'chat', messageId });
+    }
+
+    // Corrects one of our own lines, here and for everyone in the meeting.
+    editLine(lineId, text) {
+        const correction = text?.trim();
+        const line = this.lines.find(candidate => candidate.id === lineId);
+        if (!this.isActive || !correction || !line || line.peerId !== null || !line.messageId || line.original === correction) return;
+        this.applyLineEdit(line, correction);
+        this.broadcast({ type: 'line-edit', messageId: line.messageId, text: correction });
+    }
+
+    // Lets everyone switch the direction of their translations right away.
+    setLanguages({ spokenLang = this.spokenLang, readingLang = this.readingLang }) {
+        this.spokenLang = spokenLang;
+        this.readingLang = readingLang;
+        this.broadcast(this.getProfileMessage());
+    }
+
+    setMuted(muted) {
+        if (!this.localStream) return;
+        this.isMuted = muted;
+        this.localStream.getAudioTracks().forEach(track => {
+            track.enabled = !muted;
+        });
+        if (muted) {
+            this.stopTalking();
+            this.voiceActivityDetector.reset();
+            this.audioPreRoll = [];
+        }
+        this.broadcast(this.getMediaStateMessage());
+    }
+
+    // Turning the camera off releases it; the blank track is sent instead.
+    // Turning it on again, or switching cameras, opens `deviceId` ('' for the
+    // system default). Rejects if the camera cannot be opened.
+    async setCameraEnabled(enabled, deviceId) {
+        if (!this.isActive || !this.localStream) return;
+        let videoTracks = [];
+        if (enabled) {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                video: getDeviceConstraints(deviceId, { exact: true }),
+            });
+            videoTracks = stream.getVideoTracks();
+            if (!this.isActive) {
+                videoTracks.forEach(track => track.stop());
+                return;
+            }
+        }
+        const previousTracks = this.localStream.getVideoTracks();
+        this.localStream = new MediaStream([...this.localStream.getAudioTracks(), ...videoTracks]);
+        previousTracks.forEach(track => track.stop());
+
+        if (!this.screenStream) {
+            await this.replaceOutgoingTrack('video', this.getOutgoingVideoTrack());
+        }
+        if (!this.isActive) return;
+        this.emit('localstream', { stream: this.localStream, cameraError: null });
+        this.broadcast(this.getMediaStateMessage());
+    }
+
+    // The new microphone keeps the mute state; the live transcription capture
+    // is restarted on it. Rejects if the microphone cannot be opened.
+    async switchMicrophone(deviceId) {
+        if (!this.isActive || !this.localStream) return;
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: getDeviceConstraints(deviceId, { exact: true }),
+        });
+        if (!this.isActive) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        const [audioTrack] = stream.getAudioTracks();
+        audioTrack.enabled = !this.isMuted;
+        const previousTracks = this.localStream.getAudioTracks();
+        this.localStream = new MediaStream([audioTrack, ...this.localStream.getVideoTracks()]);
+        previousTracks.forEach(track => track.stop());
+
+        await this.replaceOutgoingTrack('audio', audioTrack);
+        if (!this.isActive) return;
+        this.emit('localstream', { stream: this.localStream, cameraError: null });
+        await this.restartAudioCapture();
+    }
+
+    // Rejects with a NotAllowedError if the user closed the browser's picker.
+    async startScreenShare() {
+        if (!this.isActive || this.screenStream) return;
+        const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+        if (!this.isActive || this.screenStream) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        this.screenStream = stream;
+        const [screenTrack] = stream.getVideoTracks();
+        // Fired when sharing is stopped from the browser's own controls.
+        screenTrack.addEventListener('ended', () => this.stopScreenShare());
+        // Text on spec sheets matters more than motion.
+        screenTrack.contentHint = 'detail';
+
+        await this.replaceOutgoingTrack('video', screenTrack);
+        this.reapplyVideoQuality();
+        this.broadcast({ type: 'screen-share', active: true });
+        this.emit('screensharechange', { stream });
+    }
+
+    async stopScreenShare() {
+        if (!this.screenStream) return;
+        const stream = this.screenStream;
+        this.screenStream = null;
+        stream.getTracks().forEach(track => track.stop());
+
+        if (this.localStream) {
+            await this.replaceOutgoingTrack('video', this.getOutgoingVideoTrack());
+            this.reapplyVideoQuality();
+        }
+        this.broadcast({ type: 'screen-share', active: false });
+        this.emit('screensharechange', { stream: null });
+    }
+
+    // The recording itself is up to the caller; everyone is told that they are being recorded.
+    setRecording(active) {
+        this.isRecording = active;
+        this.broadcast({ type: 'recording', active });
+    }
+
+    // Takes any of the constructor's capture options. `vadOptions` are
+    // `{ sensitivity, silenceTimeoutMs }`, see voice-activity.js.
+    async setCaptureSettings({ handsFree = this.handsFree, chunkMs = this.chunkMs, vadOptions = {}, reviewBeforeSend = this.reviewBeforeSend }) {
+        this.reviewBeforeSend = reviewBeforeSend;
+        this.voiceActivityDetector.configure(vadOptions);
+        if (handsFree !== this.handsFree) {
+            this.handsFree = handsFree;
+            // Switching modes mid-call closes any open utterance.
+            this.stopTalking();
+            this.voiceActivityDetector.reset();
+            this.audioPreRoll = [];
+            this.refreshStatus();
+        }
+        if (chunkMs !== this.chunkMs) {
+            this.chunkMs = chunkMs;
+            await this.restartAudioCapture();
+        }
+    }
+
+    setTranslationSettings(settings) {
+        this.translationProviderId = settings.providerId;
+        this.translationProvider = createTranslationProvider(settings, { getAi: () => this.ai });
+    }
+
+    // Applies to lines from now on.
+    setGlossary(entries) {
+        this.glossary = entries;
+    }
+
+    // Resolves to the translation of part of an interim caption, or '' if it
+    // failed. Captions are gone again within seconds, so it is not retried.
+    async translateCaption(text, sourceLang, targetLang) {
+        try {
+            const translation = await this.translateText({
+                text,
+                sourceLang,
+                targetLang,
+                glossary: findGlossaryMatches(this.glossary, text, sourceLang, targetLang),
+            }, { maxAttempts: 1 });
+            return translation ?? '';
+        } catch (error) {
+            console.error("Caption translation failed:", error);
+            return '';
+        }
+    }
+
+    admit(peerId) {
+        const entry = this.lobby.get(peerId);
+        if (entry && this.isHost) {
+            this.admitLobbyEntry(entry);
+        }
+    }
+
+    deny(peerId) {
+        const entry = this.lobby.get(peerId);
+        if (entry && this.isHost) {
+            this.denyLobbyEntry(entry, 'denied');
+        }
+    }
+
+    // Also works after the meeting ended.
+    async retryTranslation(lineId) {
+        const line = this.lines.find(candidate => candidate.id === lineId);
+        if (line?.translationStatus === 'failed') {
+            await this.translateLine(line);
+        }
+    }
+
+    getParticipants() {
+        return Array.from(this.participants.values()).map(describeParticipant);
+    }
+
+    hasCamera() {
+        return Boolean(this.localStream?.getVideoTracks().length);
+    }
+
+    // Leaves the meeting. Safe to call more than once. The transcript stays.
+    end() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        clearTimeout(this.finalizeTimer);
+        this.stopStatsMonitor();
+
+        // Stop any pending reconnection attempts.
+        clearTimeout(this.signallingReconnectTimer);
+        this.signallingReconnectTimer = null;
+        this.signallingBackoff.reset();
+        clearTimeout(this.sessionReconnectTimer);
+        this.sessionReconnectTimer = null;
+        this.sessionBackoff.reset();
+        this.reconnectingTasks.clear();
+
+        // Tell everyone we are leaving on purpose, then close every participant's call and data connection.
+        this.broadcast({ type: 'bye' });
+        Array.from(this.participants.keys()).forEach(peerId => this.removeParticipant(peerId));
+        Array.from(this.lobby.values()).forEach(entry => this.denyLobbyEntry(entry, 'ended'));
+        this.admittedPeers.clear();
+
+        this.audioCapture?.close().catch(e => console.error("Error closing audio capture:", e));
+        this.audioCapture = null;
+        this.liveSession?.then(session => session.close()).catch(e => console.error("Error closing session:", e));
+        this.liveSession = null;
+        this.screenStream?.getTracks().forEach(track => track.stop());
+        this.screenStream = null;
+        this.localStream?.getTracks().forEach(track => track.stop());
+        this.localStream = null;
+        this.blankVideoTrack?.stop();
+        this.blankVideoTrack = null;
+        if (this.peer && !this.peer.destroyed) {
+            this.peer.destroy();
+        }
+        this.peer = null;
+        this.isRoomJoined = false;
+        this.isMuted = false;
+        this.isRecording = false;
+        if (this.isTalking) {
+            this.isTalking = false;
+            this.emit('talkingchange', { isTalking: false });
+        }
+        this.transcriptionBuffer = '';
+        this.voiceActivityDetector.reset();
+        this.audioPreRoll = [];
+
+        this.setStatus('idle', 'Idle');
+        this.emit('ended', {});
+    }
+
+    // --- Startup ---
+
+    async start(meetingId, isJoining) {
+        if (this.isActive) {
+            throw new Error('The session is already in a meeting.');
+        }
+        this.meetingId = meetingId;
+        this.isHost = !isJoining;
+        this.isActive = true;
+        this.lines = [];
+        this.setStatus('connecting', 'Starting...');
+        try {
+            const { stream, cameraError } = this.pendingStream
+                ? { stream: this.pendingStream, cameraError: null }
+                : await openMediaStream({ ...this.devicePreferences, audioOnly: this.audioOnly });
+            this.pendingStream = null;
+            if (!this.isActive) {
+                stream.getTracks().forEach(track => track.stop());
+                return meetingId;
+            }
+            this.localStream = stream;
+            this.isMuted = false;
+            this.emit('localstream', { stream, cameraError });
+
+            // The live session is connected before talking is allowed.
+            await this.openLiveSession();
+            // Capture runs for the whole call; chunks only reach the live session while talking.
+            const capture = await this.createAudioCapture();
+            if (!this.isActive) {
+                capture.close();
+                return meetingId;
+            }
+            this.audioCapture = capture;
+            await this.openPeer(isJoining);
+            if (this.isActive) {
+                this.startStatsMonitor();
+            }
+            return meetingId;
+        } catch (error) {
+            this.fail(describeStartError(error), error);
+            throw error;
+        }
+    }
+
+    openPeer(isJoining) {
+        return new Promise((resolve, reject) => {
+            // The host registers the meeting ID itself so it can act as the room.
+            // Joining peers use a randomly generated ID to avoid ID conflicts.
+            this.peer = new Peer(isJoining ? undefined : this.meetingId, getPeerOptions(this.connectionSettings));
+
+            this.peer.on('open', () => {
+                // 'open' fires again after peer.reconnect() restores signalling.
+                if (this.isRoomJoined) {
+                    clearTimeout(this.signallingReconnectTimer);
+                    this.signallingReconnectTimer = null;
+                    this.signallingBackoff.reset();
+                    this.setReconnecting('signalling', false);
+                    return;
+                }
+                if (isJoining) {
+                    this.knockOnHost();
+                } else {
+                    this.isRoomJoined = true;
+                    this.refreshStatus();
+                }
+                this.emit('meetingstarted', { meetingId: this.meetingId, isHost: this.isHost });
+                resolve();
+            });
+            // No media is exchanged with a peer before they are admitted.
+            this.peer.on('call', (call) => {
+                if (this.isAdmitted(call.peer)) {
+                    this.answerCall(call);
+                } else {
+                    this.holdCallInLobby(call);
+                }
+            });
+            this.peer.on('connection', (conn) => {
+                if (this.isAdmitted(conn.peer)) {
+                    this.setupDataConnection(this.getOrCreateParticipant(conn.peer), conn);
+                } else {
+                    this.holdConnectionInLobby(conn);
+                }
+            });
+            // Losing the signalling server does not affect established calls, but
+            // nobody can (re)connect to us until it is back.
+            this.peer.on('disconnected', () => {
+                if (this.isRoomJoined) {
+                    this.scheduleSignallingReconnect();
+                }
+            });
+            this.peer.on('error', (err) => {
+                console.error('PeerJS error:', err);
+                if (this.isRoomJoined) {
+                    // An unreachable mesh peer only affects that participant; its
+                    // connection timeout takes care of it.
+                    if (err.type === 'peer-unavailable') return;
+                    if (TRANSIENT_PEER_ERRORS.includes(err.type)) {
+                        this.scheduleSignallingReconnect();
+                        return;
+                    }
+                }
+                const messages = {
+                    'peer-unavailable': 'The meeting is not available. Please check the Meeting ID.',
+                    'network': 'Network connection lost. Please check your internet connection.',
+                    'id-taken': 'This meeting ID is already in use. Please create a new meeting.',
+                };
+                const error = new Error(messages[err.type] ?? 'Connection error. Please try again.');
+                reject(error);
+                this.fail(error.message);
+            });
+        });
+    }
+
+    scheduleSignallingReconnect() {
+        if (this.signallingReconnectTimer || !this.peer || this.peer.destroyed) return;
+
+        const delay = this.signallingBackoff.next();
+        if (delay === null) {
+            this.fail('Lost connection to the meeting server. Please start a new meeting.');
+            return;
+        }
+        this.setReconnecting('signalling', true);
+        this.signallingReconnectTimer = setTimeout(() => {
+            this.signallingReconnectTimer = null;
+            if (!this.peer || this.peer.destroyed) return;
+            if (this.peer.disconnected) {
+                this.peer.reconnect();
+            } else {
+                this.setReconnecting('signalling', false);
+            }
+        }, delay);
+    }
+
+    // --- Transcription ---
+
+    // With the companion server, every live session needs its own single-use token.
+    getLiveAi() {
+        return this.companion ? createLiveAi(this.companion) : Promise.resolve(this.ai);
+    }
+
+    openLiveSession() {
+        const session = this.getLiveAi().then(client => client.live.connect({
+            model: LIVE_MODEL,
+            callbacks: {
+                onmessage: (message) => {
+                    const text = message.serverContent?.inputTranscription?.text;
+                    if (text) {
+                        this.handleTranscription(text);
+                    }
+                },
+                onerror: (e) => {
+                    console.error('Live session error:', e);
+                    this.handleLiveSessionLost(session);
+                },
+                onclose: () => this.handleLiveSessionLost(session),
+            },
+            config: {
+                responseModalities: [Modality.AUDIO],
+                inputAudioTranscription: {},
+            },
+        }));
+        this.liveSession = session;
+        return session;
+    }
+
+    // Reopens the live session when it drops mid-meeting. Audio captured while
+    // it is down is dropped, but the pending transcription buffer is kept.
+    handleLiveSessionLost(lostSession) {
+        if (this.liveSession !== lostSession || !this.isActive) return;
+        this.liveSession = null;
+        this.scheduleLiveSessionReconnect();
+    }
+
+    scheduleLiveSessionReconnect() {
+        if (this.sessionReconnectTimer) return;
+
+        const delay = this.sessionBackoff.next();
+        if (delay === null) {
+            this.setReconnecting('transcription', false);
+            this.emit('error', { message: 'Live transcription is unavailable. Please end and restart the meeting.', error: null });
+            return;
+        }
+        this.setReconnecting('transcription', true);
+        this.sessionReconnectTimer = setTimeout(async () => {
+            this.sessionReconnectTimer = null;
+            if (!this.isActive) return;
+            const session = this.openLiveSession();
+            try {
+                await session;
+                this.sessionBackoff.reset();
+                this.setReconnecting('transcription', false);
+            } catch (error) {
+                console.error("Failed to reopen live session:", error);
+                this.handleLiveSessionLost(session);
+            }
+        }, delay);
+    }
+
+    createAudioCapture() {
+        return createAudioCapture(this.localStream, {
+            chunkMs: this.chunkMs,
+            onChunk: (chunk) => this.handleAudioChunk(chunk),
+        });
+    }
+
+    async restartAudioCapture() {
+        if (!this.audioCapture) return;
+        this.stopTalking();
+        const previousCapture = this.audioCapture;
+        this.audioCapture = null;
+        await previousCapture.close().catch(e => console.error("Error closing audio capture:", e));
+        try {
+            const capture = await this.createAudioCapture();
+            // The meeting may have ended while the new capture was starting.
+            if (!this.isActive) {
+                capture.close();
+                return;
+            }
+            this.audioCapture = capture;
+        } catch (error) {
+            console.error("Failed to restart audio capture:", error);
+            this.emit('error', { message: 'Could not restart the microphone capture.', error });
+        }
+    }
+
+    handleAudioChunk(chunk) {
+        if (this.handsFree && !this.isMuted) {
+            // May call startTalking() or stopTalking() synchronously.
+            this.voiceActivityDetector.process(chunk.level, chunk.durationMs);
+        }
+
+        // Flushed chunks carry the tail of an utterance that just ended.
+        if (this.isTalking || chunk.flushed) {
+            this.sendAudio(chunk.pcm);
+        } else if (this.handsFree) {
+            this.audioPreRoll.push(chunk);
+            let preRollMs = this.audioPreRoll.reduce((total, { durationMs }) => total + durationMs, 0);
+            while (this.audioPreRoll.length > 1 && preRollMs - this.audioPreRoll[0].durationMs >= PRE_ROLL_MS) {
+                preRollMs -= this.audioPreRoll.shift().durationMs;
+            }
+        }
+    }
+
+    sendAudio(pcm) {
+        if (pcm.length === 0) return;
+        const blob = encodePcmChunk(pcm);
+        // A session that failed to open is reported and reopened where it was
+        // opened; chunks sent to it meanwhile are dropped.
+        this.liveSession?.then(session => session.sendRealtimeInput({ media: blob })).catch(() => {});
+    }
+
+    // Everything heard so far is streamed to the others as an interim caption.
+    handleTranscription(text) {
+        this.transcriptionBuffer += text;
+        // Late transcription after the utterance ended is only part of the final line.
+        if (!this.isTalking || !this.utteranceId) return;
+        // Utterances held for review are only sent once confirmed.
+        if (this.reviewBeforeSend) return;
+        this.broadcast({ type: 'interim', utteranceId: this.utteranceId, text: this.transcriptionBuffer.trim(), lang: this.spokenLang });
+    }
+
+    // --- Transcript ---
+
+    // `peerId` is the remote participant who said it, null for our own lines.
+    // `messageId` identifies the line on every side of the call, so it can be
+    // corrected later: the utterance ID for speech, the message ID for chat.
+    addLine({ text, lang, speaker, startedAt, endedAt, isLocal, kind = 'speech', peerId = null, messageId = null }) {
+        // Remote lines are translated into our reading language. Our own lines are
+        // shown in the language the other participants read, so we can check them.
+        const targetLang = isLocal ? this.getListenerLanguage(lang) : this.readingLang;
+        const needsTranslation = lang !== targetLang;
+        const line = {
+            id: crypto.randomUUID(),
+            messageId,
+            kind,
+            peerId,
+            speaker,
+            startedAt,
+            endedAt,
+            original: text,
+            translation: null,
+            translationStatus: needsTranslation ? 'pending' : null,
+            sourceLang: lang,
+            targetLang,
+            // Glossary terms found in the original, as `{ sourceTerm, targetTerm }`.
+            glossaryTerms: needsTranslation ? findGlossaryMatches(this.glossary, text, lang, targetLang) : [],
+            editedAt: null,
+        };
+        this.lines.push(line);
+        this.emit('line', { line });
+        if (needsTranslation) {
+            this.translateLine(line);
+        }
+        return line;
+    }
+
+    async translateLine(line) {
+        const { original } = line;
+        if (line.translationStatus !== 'pending') {
+            this.setTranslationStatus(line, 'pending');
+        }
+        const onRetry = () => {
+            if (line.original === original) {
+                this.setTranslationStatus(line, 'retrying');
+            }
+        };
+        try {
+            const { text, restore } = line.kind === 'chat' ? protectChatText(original) : { text: original, restore: null };
+            const translated = restore && isOnlyTokens(text)
+                ? original
+                : await this.translateText({ text, sourceLang: line.sourceLang, targetLang: line.targetLang, glossary: line.glossaryTerms }, { onRetry });
+            // A correction arrived meanwhile and is being translated instead.
+            if (line.original !== original) return;
+            line.translation = translated && restore ? restore(translated) : translated;
+            this.setTranslationStatus(line, 'done');
+        } catch (error) {
+            console.error("Translation failed:", error);
+            this.translationUsage.failures++;
+            this.emitTranslationUsage();
+            if (line.original === original) {
+                this.setTranslationStatus(line, 'failed');
+            }
+        }
+    }
+
+    setTranslationStatus(line, status) {
+        line.translationStatus = status;
+        this.emit('lineupdated', { line });
+    }
+
+    applyLineEdit(line, text) {
+        const needsTranslation = line.sourceLang !== line.targetLang;
+        line.original = text;
+        line.translation = null;
+        line.translationStatus = needsTranslation ? 'pending' : null;
+        line.editedAt = Date.now();
+        line.glossaryTerms = needsTranslation
+            ? findGlossaryMatches(this.glossary, text, line.sourceLang, line.targetLang)
+            : [];
+        this.emit('lineupdated', { line });
+        if (needsTranslation) {
+            this.translateLine(line);
+        }
+    }
+
+    // Resolves to the trimmed translation, or null if the provider returned
+    // nothing. Cached translations are returned without a request.
+    async translateText(request, options = {}) {
+        const cacheRequest = { ...request, providerId: this.translationProviderId };
+        const cached = this.translationCache.get(cacheRequest);
+        if (cached !== null) {
+            this.translationUsage.cacheHits++;
+            this.emitTranslationUsage();
+            return cached;
+        }
+        const translation = await this.translationQueue.run(() => {
+            this.translationUsage.requests++;
+            this.translationUsage.characters += request.text.length;
+            this.emitTranslationUsage();
+            return this.translationProvider.translate(request);
+        }, options);
+        const trimmed = translation?.trim() || null;
+        if (trimmed) {
+            this.translationCache.set(cacheRequest, trimmed);
+        }
+        return trimmed;
+    }
+
+    emitTranslationUsage() {
+        this.emit('translationusage', { usage: { ...this.translationUsage } });
+    }
+
+    // The language our own lines are shown in: what the other participants read.
+    // With several reading languages in the room, the first one that differs
+    // from ours is used.
+    getListenerLanguage(spokenLang) {
+        const readingLangs = Array.from(this.participants.values())
+            .map(participant => participant.readingLang)
+            .filter(Boolean);
+        return readingLangs.find(lang => lang !== spokenLang) ?? readingLangs[0] ?? this.readingLang;
+    }
+
+    // --- Participants ---
+
+    getOrCreateParticipant(peerId) {
+        let participant = this.participants.get(peerId);
+        if (participant) return participant;
+        participant = {
+            peerId,
+            name: DEFAULT_NAME,
+            // Announced by the participant in their 'profile' message.
+            spokenLang: null,
+            readingLang: null,
+            stream: null,
+            isMuted: false,
+            isCameraOff: false,
+            isPresenting: false,
+            isRecording: false,
+            call: null,
+            dataConnection: null,
+            isReconnecting: false,
+            reconnectBackoff: new Backoff({ maxAttempts: 6 }),
+            reconnectTimer: null,
+            iceDisconnectTimer: null,
+            // Latest call stats sample and its rating, see sampleParticipantStats().
+            stats: null,
+            quality: 'unknown',
+            videoQuality: new VideoQualityAdapter(),
+        };
+        this.participants.set(peerId, participant);
+        this.emit('participantjoined', { participant: describeParticipant(participant) });
+        return participant;
+    }
+
+    handleConnectionLost(participant) {
+        if (this.participants.get(participant.peerId) !== participant) return;
+        if (!this.isActive) {
+            this.removeParticipant(participant.peerId);
+            return;
+        }
+        if (participant.isReconnecting) return;
+
+        console.warn(`Lost connection to ${participant.name}, reconnecting.`);
+        participant.isReconnecting = true;
+        // A share or recording still running is announced again once the data connection reopens.
+        participant.isPresenting = false;
+        participant.isRecording = false;
+        this.emit('participantreconnecting', { participant: describeParticipant(participant) });
+        this.setReconnecting(`peer:${participant.peerId}`, true);
+        this.closeParticipantConnections(participant);
+        this.scheduleParticipantReconnect(participant);
+    }
+
+    scheduleParticipantReconnect(participant) {
+        const delay = participant.reconnectBackoff.next();
+        if (delay === null) {
+            console.warn(`Could not reconnect to ${participant.name}, dropping them.`);
+            this.removeParticipant(participant.peerId);
+            return;
+        }
+        participant.reconnectTimer = setTimeout(() => {
+            participant.reconnectTimer = null;
+            if (this.participants.get(participant.peerId) !== participant) return;
+
+            // Only one side dials so the two attempts do not collide; the other
+            // side waits for the incoming call until its own attempts run out.
+            const shouldDial = this.peer && !this.peer.disconnected && this.peer.id < participant.peerId;
+            if (shouldDial) {
+                this.closeParticipantConnections(participant);
+                this.connectToPeer(participant.peerId, () => this.scheduleParticipantReconnect(participant));
+            } else {
+                this.scheduleParticipantReconnect(participant);
+            }
+        }, delay);
+    }
+
+    handleParticipantReconnected(participant) {
+        clearTimeout(participant.reconnectTimer);
+        participant.reconnectTimer = null;
+        participant.isReconnecting = false;
+        participant.reconnectBackoff.reset();
+        this.emit('participantreconnected', { participant: describeParticipant(participant) });
+        this.setReconnecting(`peer:${participant.peerId}`, false);
+    }
+
+    // Detaches the call and data connection before closing them, so their close
+    // handlers see they are stale.
+    closeParticipantConnections(participant) {
+        const { call, dataConnection } = participant;
+        participant.call = null;
+        participant.dataConnection = null;
+        clearTimeout(participant.iceDisconnectTimer);
+        call?.close();
+        dataConnection?.close({ flush: true });
+    }
+
+    removeParticipant(peerId) {
+        const participant = this.participants.get(peerId);
+        if (!participant) return;
+        // Deleted first so the close handlers fired below are no-ops.
+        this.participants.delete(peerId);
+        clearTimeout(participant.reconnectTimer);
+        this.closeParticipantConnections(participant);
+        this.emit('participantleft', { participant: describeParticipant(participant) });
+        this.setReconnecting(`peer:${peerId}`, false);
+        this.refreshStatus();
+    }
+
+    // `dataConnection` is passed when one is already open, as after knocking.
+    // Without `onTimeout`, a participant who cannot be reached is dropped.
+    connectToPeer(peerId, onTimeout = null, dataConnection = null) {
+        if (!this.peer || !this.localStream) return;
+        if (!this.isRoomJoined) {
+            this.setStatus('connecting', 'Connecting...');
+        }
+        const participant = this.getOrCreateParticipant(peerId);
+        const timeout = setTimeout(() => {
+            if (onTimeout) {
+                onTimeout();
+            } else {
+                console.warn(`Could not reach participant ${peerId}, dropping them.`);
+                this.removeParticipant(peerId);
+            }
+        }, CONNECTION_TIMEOUT_MS);
+        const call = this.peer.call(peerId, this.getOutgoingStream());
+        this.setupCall(participant, call, () => clearTimeout(timeout));
+        this.setupDataConnection(participant, dataConnection ?? this.peer.connect(peerId));
+    }
+
+    answerCall(call) {
+        call.answer(this.getOutgoingStream());
+        this.setupCall(this.getOrCreateParticipant(call.peer), call);
+    }
+
+    // Calls always carry the microphone plus whichever video is live, so
+    // participants who join or reconnect mid-share see the shared screen.
+    getOutgoingStream() {
+        return new MediaStream([...this.localStream.getAudioTracks(), this.getOutgoingVideoTrack()]);
+    }
+
+    // Without a camera a blank track is sent, so there is always a video
+    // sender for the camera or a shared screen to take over.
+    getOutgoingVideoTrack() {
+        return this.screenStream?.getVideoTracks()[0]
+            ?? this.localStream.getVideoTracks()[0]
+            ?? (this.blankVideoTrack ??= createBlankVideoTrack());
+    }
+
+    // Swaps the audio or video on every live call in place; replaceTrack needs
+    // no renegotiation.
+    async replaceOutgoingTrack(kind, track) {
+        const replacements = [];
+        this.participants.forEach(({ call }) => {
+            const sender = getSender(call, kind);
+            if (sender) {
+                replacements.push(sender.replaceTrack(track).catch(e => console.error(`Failed to replace ${kind} track:`, e)));
+            }
+        });
+        await Promise.all(replacements);
+    }
+
+    setupCall(participant, call, onStream) {
+        // A reconnecting participant replaces their previous call.
+        const previousCall = participant.call;
+        participant.call = call;
+        previousCall?.close();
+        // A new call starts with fresh counters and full video quality.
+        participant.stats = null;
+        participant.videoQuality = new VideoQualityAdapter();
+
+        call.on('stream', (stream) => {
+            onStream?.();
+            this.isRoomJoined = true;
+            participant.stream = stream;
+            if (participant.isReconnecting) {
+                this.handleParticipantReconnected(participant);
+            }
+            this.emit('participantupdated', { participant: describeParticipant(participant) });
+            this.refreshStatus();
+
+            // PeerJS closes the call when ICE fails, but a 'disconnected' state
+            // can linger indefinitely on a dead network.
+            call.peerConnection?.addEventListener('iceconnectionstatechange', () => {
+                clearTimeout(participant.iceDisconnectTimer);
+                if (call.peerConnection.iceConnectionState === 'disconnected') {
+                    participant.iceDisconnectTimer = setTimeout(() => {
+                        if (participant.call === call) {
+                            this.handleConnectionLost(participant);
+                        }
+                    }, ICE_DISCONNECT_GRACE_MS);
+                }
+            });
+        });
+        call.on('close', () => {
+            if (participant.call === call) {
+                this.handleConnectionLost(participant);
+            }
+        });
+    }
+
+    // `pendingMessages` were received while the connection waited in the lobby.
+    setupDataConnection(participant, conn, pendingMessages = []) {
+        const previousConnection = participant.dataConnection;
+        participant.dataConnection = conn;
+        previousConnection?.close();
+
+        const handleData = (data) => this.handleData(participant, data);
+        const handleOpen = () => {
+            conn.send(this.getProfileMessage());
+            conn.send(this.getMediaStateMessage());
+            if (this.screenStream) {
+                conn.send({ type: 'screen-share', active: true });
+            }
+            if (this.isRecording) {
+                conn.send({ type: 'recording', active: true });
+            }
+            if (this.isHost) {
+                const peers = Array.from(this.participants.keys()).filter(peerId => peerId !== conn.peer);
+                conn.send({ type: 'roster', peers });
+            }
+        };
+        conn.on('data', handleData);
+        pendingMessages.forEach(handleData);
+        if (conn.open) {
+            handleOpen();
+        } else {
+            conn.on('open', handleOpen);
+        }
+        conn.on('close', () => {
+            if (participant.dataConnection === conn) {
+                this.handleConnectionLost(participant);
+            }
+        });
+    }
+
+    handleData(participant, data) {
+        const update = () => this.emit('participantupdated', { participant: describeParticipant(participant) });
+        if (data.type === 'transcription' || data.type === 'chat') {
+            const startedAt = data.startedAt ?? data.sentAt ?? Date.now();
+            this.addLine({
+                text: data.text,
+                lang: data.lang ?? participant.spokenLang,
+                speaker: participant.name,
+                startedAt,
+                endedAt: data.endedAt ?? startedAt,
+                isLocal: false,
+                kind: data.type === 'chat' ? 'chat' : 'speech',
+                peerId: participant.peerId,
+                messageId: data.type === 'chat' ? data.messageId : data.utteranceId,
+            });
+        } else if (data.type === 'interim') {
+            this.emit('interim', { participant: describeParticipant(participant), utteranceId: data.utteranceId, text: data.text, lang: data.lang });
+        } else if (data.type === 'utterance-discarded') {
+            this.emit('interim', { participant: describeParticipant(participant), utteranceId: data.utteranceId, text: '', lang: participant.spokenLang });
+        } else if (data.type === 'line-edit') {
+            // Participants can only correct their own lines.
+            const line = data.messageId && this.lines.find(candidate =>
+                candidate.peerId === participant.peerId && candidate.messageId === data.messageId);
+            const text = typeof data.text === 'string' ? data.text.trim() : '';
+            if (line && text) {
+                this.applyLineEdit(line, text);
+            }
+        } else if (data.type === 'profile') {
+            participant.name = data.name;
+            participant.spokenLang = data.spokenLang;
+            participant.readingLang = data.readingLang;
+            update();
+        } else if (data.type === 'media-state') {
+            participant.isMuted = Boolean(data.muted);
+            participant.isCameraOff = Boolean(data.cameraOff);
+            update();
+        } else if (data.type === 'screen-share') {
+            participant.isPresenting = Boolean(data.active);
+            this.emit('presentingchange', { participant: describeParticipant(participant), active: participant.isPresenting });
+        } else if (data.type === 'recording') {
+            participant.isRecording = Boolean(data.active);
+            this.emit('recordingchange', { participant: describeParticipant(participant), active: participant.isRecording });
+        } else if (data.type === 'bye') {
+            // They left on purpose, so they are not reconnected.
+            this.removeParticipant(participant.peerId);
+        } else if (data.type === 'roster' && participant.peerId === this.meetingId) {
+            // Sent by the host: connect to everyone already in the room.
+            data.peers.forEach(peerId => this.admittedPeers.add(peerId));
+            data.peers
+                .filter(peerId => peerId !== this.peer?.id && !this.participants.has(peerId))
+                .forEach(peerId => this.connectToPeer(peerId));
+        } else if (data.type === 'admit' && participant.peerId === this.meetingId) {
+            // Sent by the host before a newcomer starts connecting to everyone.
+            this.admittedPeers.add(data.peerId);
+            const entry = this.lobby.get(data.peerId);
+            if (entry) {
+                this.admitLobbyEntry(entry);
+            }
+        }
+    }
+
+    getProfileMessage() {
+        return { type: 'profile', name: this.name, spokenLang: this.spokenLang, readingLang: this.readingLang };
+    }
+
+    getMediaStateMessage() {
+        return { type: 'media-state', muted: this.isMuted, cameraOff: !this.hasCamera() };
+    }
+
+    broadcast(message) {
+        this.participants.forEach(({ dataConnection }) => {
+            if (dataConnection?.open) {
+                dataConnection.send(message);
+            }
+        });
+    }
+
+    // --- Call Quality ---
+
+    startStatsMonitor() {
+        this.stopStatsMonitor();
+        this.statsTimer = setInterval(() => {
+            this.participants.forEach(participant => this.sampleParticipantStats(participant));
+        }, STATS_INTERVAL_MS);
+    }
+
+    stopStatsMonitor() {
+        clearInterval(this.statsTimer);
+        this.statsTimer = null;
+    }
+
+    async sampleParticipantStats(participant) {
+        const { call } = participant;
+        if (!call?.peerConnection || participant.isReconnecting) return;
+        let stats;
+        try {
+            stats = await collectCallStats(call.peerConnection, participant.stats);
+        } catch (e) {
+            console.warn(`Could not read call stats for ${participant.name}:`, e);
+            return;
+        }
+        // The call may have been replaced while its stats were read.
+        if (participant.call !== call) return;
+
+        participant.stats = stats;
+        participant.quality = rateCallQuality(stats);
+        const level = participant.videoQuality.update(participant.quality);
+        if (level !== null) {
+            this.applyVideoQualityLevel(participant, level);
+            this.emit('videoqualitychange', { participant: describeParticipant(participant), videoLevel: level });
+        }
+        this.emit('callstats', {
+            participant: describeParticipant(participant),
+            stats,
+            quality: participant.quality,
+            videoLevel: participant.videoQuality.level,
+        });
+    }
+
+    // Lowers the bitrate and resolution of the video we send to one
+    // participant, or stops sending it at the lowest level.
+    async applyVideoQualityLevel(participant, levelIndex) {
+        const sender = getSender(participant.call, 'video');
+        if (!sender) return;
+        const level = VIDEO_QUALITY_LEVELS[levelIndex];
+        const parameters = sender.getParameters();
+        if (!parameters.encodings?.length) return;
+        parameters.encodings.forEach(encoding => {
+            encoding.active = level.active ?? true;
+            if (level.maxBitrate) {
+                encoding.maxBitrate = level.maxBitrate;
+            } else {
+                delete encoding.maxBitrate;
+            }
+            // Shared screens keep their resolution so text stays readable.
+            encoding.scaleResolutionDownBy = this.screenStream ? 1 : level.scaleResolutionDownBy;
+        });
+        try {
+            await sender.setParameters(parameters);
+        } catch (e) {
+            console.error("Failed to adapt video quality:", e);
+        }
+    }
+
+    reapplyVideoQuality() {
+        this.participants.forEach(participant => {
+            if (participant.videoQuality.level > 0) {
+                this.applyVideoQualityLevel(participant, participant.videoQuality.level);
+            }
+        });
+    }
+
+    // --- Lobby ---
+
+    isAdmitted(peerId) {
+        return this.participants.has(peerId) || this.admittedPeers.has(peerId) || (!this.isHost && peerId === this.meetingId);
+    }
+
+    // Joining peers open a data connection to the host and knock with their
+    // name. Media only starts once the host has admitted them.
+    knockOnHost() {
+        this.setStatus('connecting', 'Connecting...');
+        const conn = this.peer.connect(this.meetingId);
+        const knockTimeout = setTimeout(() => this.fail(CONNECTION_TIMEOUT_MESSAGE), CONNECTION_TIMEOUT_MS);
+
+        const handleLobbyMessage = (data) => {
+            if (data.type === 'lobby') {
+                this.setStatus('waiting', 'Waiting for the host to let you in...');
+            } else if (data.type === 'admitted') {
+                conn.off('data', handleLobbyMessage);
+                conn.off('close', handleLobbyClose);
+                this.connectToPeer(this.meetingId, () => this.fail(CONNECTION_TIMEOUT_MESSAGE), conn);
+            } else if (data.type === 'denied') {
+                conn.off('close', handleLobbyClose);
+                conn.close();
+                const messages = {
+                    passcode: 'The meeting passcode is incorrect.',
+                    ended: 'The meeting has ended.',
+                };
+                this.fail(messages[data.reason] ?? 'The host did not let you into the meeting.');
+            }
+        };
+        const handleLobbyClose = () => {
+            clearTimeout(knockTimeout);
+            if (this.isActive && !this.isRoomJoined) {
+                this.fail('The host closed the connection.');
+            }
+        };
+        conn.on('open', () => {
+            clearTimeout(knockTimeout);
+            conn.send({ type: 'knock', name: this.name, passcode: this.passcode });
+        });
+        conn.on('data', handleLobbyMessage);
+        conn.on('close', handleLobbyClose);
+    }
+
+    getLobbyEntry(peerId) {
+        let entry = this.lobby.get(peerId);
+        if (!entry) {
+            entry = { peerId, name: null, conn: null, call: null, handleData: null, pendingMessages: [], isWaiting: false, timer: null };
+            // Peers that never knock, or are never admitted by the host, are let go.
+            entry.timer = setTimeout(() => this.denyLobbyEntry(entry, 'timeout'), LOBBY_WAIT_MS);
+            this.lobby.set(peerId, entry);
+        }
+        return entry;
+    }
+
+    holdConnectionInLobby(conn) {
+        const entry = this.getLobbyEntry(conn.peer);
+        entry.conn?.close();
+        entry.conn = conn;
+        entry.handleData = (data) => {
+            if (this.isHost && data.type === 'knock') {
+                this.handleKnock(entry, data);
+            } else if (!this.isHost) {
+                entry.pendingMessages.push(data);
+            }
+        };
+        conn.on('data', entry.handleData);
+        conn.on('close', () => {
+            if (entry.conn === conn && this.lobby.get(entry.peerId) === entry) {
+                this.removeLobbyEntry(entry);
+                entry.call?.close();
+            }
+        });
+    }
+
+    holdCallInLobby(call) {
+        // Admitted peers only call the host after it has admitted them.
+        if (this.isHost) {
+            call.close();
+            return;
+        }
+        const entry = this.getLobbyEntry(call.peer);
+        entry.call?.close();
+        entry.call = call;
+    }
+
+    handleKnock(entry, { name, passcode }) {
+        entry.name = (typeof name === 'string' && name.trim().slice(0, 60)) || DEFAULT_NAME;
+        if (this.passcode && passcode !== this.passcode) {
+            this.denyLobbyEntry(entry, 'passcode');
+            return;
+        }
+        if (!this.isLobbyEnabled) {
+            this.admitLobbyEntry(entry);
+            return;
+        }
+        // The host may take their time to decide.
+        clearTimeout(entry.timer);
+        entry.conn.send({ type: 'lobby' });
+        entry.isWaiting = true;
+        this.emit('knock', { peerId: entry.peerId, name: entry.name });
+    }
+
+    admitLobbyEntry(entry) {
+        this.removeLobbyEntry(entry);
+        this.admittedPeers.add(entry.peerId);
+        if (this.isHost) {
+            // Everyone else learns about the newcomer before the newcomer learns
+            // who to connect to, so their connections are accepted.
+            this.broadcast({ type: 'admit', peerId: entry.peerId });
+            entry.conn.send({ type: 'admitted' });
+        }
+        if (entry.conn) {
+            entry.conn.off('data', entry.handleData);
+            this.setupDataConnection(this.getOrCreateParticipant(entry.peerId), entry.conn, entry.pendingMessages);
+        }
+        if (entry.call) {
+            this.answerCall(entry.call);
+        }
+    }
+
+    denyLobbyEntry(entry, reason) {
+        this.removeLobbyEntry(entry);
+        if (entry.conn?.open) {
+            entry.conn.send({ type: 'denied', reason });
+        }
+        entry.conn?.close({ flush: true });
+        entry.call?.close();
+    }
+
+    removeLobbyEntry(entry) {
+        clearTimeout(entry.timer);
+        this.lobby.delete(entry.peerId);
+        if (entry.isWaiting) {
+            entry.isWaiting = false;
+            this.emit('knockended', { peerId: entry.peerId });
+        }
+    }
+
+    // --- Status ---
+
+    // Tracks everything currently reconnecting ('signalling', 'transcription',
+    // 'peer:<id>') and shows the reconnecting status while any of them is.
+    setReconnecting(task, isReconnecting) {
+        const wasReconnecting = this.reconnectingTasks.size > 0;
+        if (isReconnecting) {
+            this.reconnectingTasks.add(task);
+        } else {
+            this.reconnectingTasks.delete(task);
+        }
+        if (isReconnecting || wasReconnecting) {
+            this.refreshStatus();
+        }
+    }
+
+    refreshStatus() {
+        if (!this.isActive || !this.isRoomJoined) return;
+        if (this.reconnectingTasks.size > 0) {
+            this.setStatus('reconnecting', 'Reconnecting...');
+        } else if (this.isTalking) {
+            this.setStatus('listening', 'Listening...');
+        } else if (this.participants.size === 0) {
+            this.setStatus('waiting', 'Waiting for participants...');
+        } else {
+            this.setStatus('ready', this.handsFree ? 'Listening for speech...' : 'Hold to Talk');
+        }
+    }
+
+    setStatus(status, text) {
+        this.status = status;
+        this.emit('statuschange', { status, text });
+    }
+
+    fail(message, error = null) {
+        if (!this.isActive) return;
+        if (error) {
+            console.error(message, error);
+        }
+        this.setStatus('error', 'Error');
+        this.emit('error', { message, error });
+        this.end();
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
+
+function describeParticipant({ peerId, name, spokenLang, readingLang, stream, isMuted, isCameraOff, isPresenting, isRecording, isReconnecting }) {
+    return { peerId, name, spokenLang, readingLang, stream, isMuted, isCameraOff, isPresenting, isRecording, isReconnecting };
+}
+
+function describeStartError(error) {
+    if (error instanceof CompanionServerError) {
+        return `Live transcription is unavailable: ${error.message}`;
+    }
+    if (error instanceof Error && error.name === 'NotAllowedError') {
+        return 'Camera and microphone access was denied.';
+    }
+    if (error instanceof Error && error.name === 'NotFoundError') {
+        return 'No microphone was found.';
+    }
+    return 'Failed to start. Check permissions and try again.';
+}
+
+// Senders are found through their transceiver, as a sender's own track may
+// have been replaced by null.
+function getSender(call, kind) {
+    return call?.peerConnection?.getTransceivers()
+        .find(transceiver => transceiver.receiver.track?.kind === kind)?.sender ?? null;
+}
+
+// Item codes, prices and URLs in typed messages are kept out of the translation.
+function protectChatText(text) {
+    const { text: protectedText, tokens } = protectTokens(text);
+    return { text: protectedText, restore: (translation) => restoreTokens(translation, tokens) };
+}
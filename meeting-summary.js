@@ -0,0 +1,142 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { Type } from "@google/genai";
+
+// Turns a meeting transcript into a structured summary, written once per
+// meeting language.
+//
+// `lines` are the transcript line records built by `MeetingSession.addLine()`
+// in meeting-session.js; of those, `{ kind, speaker, original, translation,
+// targetLang }` are used. The result is `{ summaries }` with one entry per language:
+// `{ language, headings, overview, decisions, actionItems, agreedTerms, openQuestions }`.
+
+const SUMMARY_MODEL = 'gemini-2.5-flash';
+
+const stringList = { type: Type.ARRAY, items: { type: Type.STRING } };
+
+const SUMMARY_SCHEMA = {
+    type: Type.OBJECT,
+    properties: {
+        summaries: {
+            type: Type.ARRAY,
+            items: {
+                type: Type.OBJECT,
+                properties: {
+                    language: { type: Type.STRING },
+                    // Section titles, written in `language`.
+                    headings: {
+                        type: Type.OBJECT,
+                        properties: {
+                            title: { type: Type.STRING },
+                            decisions: { type: Type.STRING },
+                            actionItems: { type: Type.STRING },
+                            agreedTerms: { type: Type.STRING },
+                            openQuestions: { type: Type.STRING },
+                            none: { type: Type.STRING },
+                        },
+                        required: ['title', 'decisions', 'actionItems', 'agreedTerms', 'openQuestions', 'none'],
+                    },
+                    overview: { type: Type.STRING },
+                    decisions: stringList,
+                    actionItems: {
+                        type: Type.ARRAY,
+                        items: {
+                            type: Type.OBJECT,
+                            properties: {
+                                owner: { type: Type.STRING },
+                                task: { type: Type.STRING },
+                                dueDate: { type: Type.STRING },
+                            },
+                            required: ['owner', 'task'],
+                        },
+                    },
+                    agreedTerms: {
+                        type: Type.ARRAY,
+                        items: {
+                            type: Type.OBJECT,
+                            properties: {
+                                item: { type: Type.STRING },
+                                quantity: { type: Type.STRING },
+                                price: { type: Type.STRING },
+                                date: { type: Type.STRING },
+                            },
+                            required: ['item'],
+                        },
+                    },
+                    openQuestions: stringList,
+                },
+                required: ['language', 'headings', 'overview', 'decisions', 'actionItems', 'agreedTerms', 'openQuestions'],
+            },
+        },
+    },
+    required: ['summaries'],
+};
+
+function getSummaryInstruction(languages, participants) {
+    return `You summarize business meetings between a textile company and its suppliers or customers.
+- Write one summary for each of these languages, in this order: ${languages.join(', ')}. Every summary covers the same content.
+- List the decisions made, the action items with their owner, the quantities, prices and dates that were agreed, and the questions left open.
+- The owner of an action item MUST be one of these participants: ${participants.join(', ')}. Use "?" if the owner is unclear.
+- Copy quantities, prices, dates, item codes and product names exactly as they appear in the transcript. Do NOT guess or convert them.
+- Only include what was actually said. Leave a list empty if nothing fits it.
+- Write the headings in the language of their summary.`;
+}
+
+// Lines are given with their speaker and, where available, their translation,
+// so the model can resolve what was misheard in one language from the other.
+function formatTranscriptForPrompt(lines) {
+    return lines.map(line => {
+        const text = line.translation ? `${line.original} [${line.targetLang}: ${line.translation}]` : line.original;
+        const kind = line.kind === 'chat' ? ' (typed)' : '';
+        return `${line.speaker}${kind}: ${text}`;
+    }).join('\n');
+}
+
+export async function generateMeetingSummary(ai, { lines, languages, participants }) {
+    const response = await ai.models.generateContent({
+        model: SUMMARY_MODEL,
+        contents: [{ parts: [{ text: formatTranscriptForPrompt(lines) }] }],
+        config: {
+            systemInstruction: getSummaryInstruction(languages, participants),
+            responseMimeType: 'application/json',
+            responseSchema: SUMMARY_SCHEMA,
+        },
+    });
+    const { summaries } = JSON.parse(response.text);
+    if (!Array.isArray(summaries) || summaries.length === 0) {
+        throw new Error('The summary response was empty.');
+    }
+    return { summaries };
+}
+
+export function formatSummaryMarkdown(summary, { meetingId, startedAt }) {
+    const { headings } = summary;
+    const list = (items) => items.length ? items.map(item => `- ${item}`) : [`- ${headings.none}`];
+
+    const actionItems = summary.actionItems.map(({ owner, task, dueDate }) =>
+        `**${owner}**: ${task}${dueDate ? ` (${dueDate})` : ''}`);
+    const agreedTerms = summary.agreedTerms.map(({ item, quantity, price, date }) =>
+        [item, quantity, price, date].filter(Boolean).join(' · '));
+
+    return [
+        `# ${headings.title}`,
+        '',
+        `${new Date(startedAt).toLocaleString()} · ${meetingId}`,
+        '',
+        summary.overview,
+        '',
+        `## ${headings.decisions}`,
+        ...list(summary.decisions),
+        '',
+        `## ${headings.actionItems}`,
+        ...list(actionItems),
+        '',
+        `## ${headings.agreedTerms}`,
+        ...list(agreedTerms),
+        '',
+        `## ${headings.openQuestions}`,
+        ...list(summary.openQuestions),
+    ].join('\n') + '\n';
+}
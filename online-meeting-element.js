@@ -0,0 +1,399 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { MeetingSession } from './meeting-session.js';
+
+// <online-meeting>: a self-contained meeting widget built on MeetingSession,
+// for pages such as an order-management portal. The page needs the same
+// import map for 'peerjs' and '@google/genai' as index.html.
+//
+//     <script type="module" src="https://meet.example.com/online-meeting-element.js"></script>
+//     <online-meeting name="Conbello Sales" spoken-lang="English" reading-lang="Chinese"
+//                     invitee="Supplier Co." topic="Order 4711"></online-meeting>
+//
+//     const meeting = document.querySelector('online-meeting');
+//     meeting.apiKey = '...';            // or meeting.companion = { serverUrl, accessToken }
+//     meeting.addEventListener('meetingstarted', ({ detail }) => sendInvitation(meeting.invitationUrl));
+//     await meeting.create();
+//
+// Attributes:
+//     name          Our name as the others see it.
+//     spoken-lang   Language we speak, a name from languages.js.
+//     reading-lang  Language we read the others in.
+//     meeting-id    Meeting to join; the Join button joins it.
+//     invitee       Who the call is with, e.g. the order's supplier.
+//     topic         Shown above the call, e.g. the order number.
+//     passcode      Passcode to set (create) or give (join).
+//     lobby         Let participants in one by one.
+//     hands-free    Transcribe on voice detection instead of push-to-talk.
+//     audio-only    Join without the camera.
+//
+// Every MeetingSession event is re-dispatched from the element, bubbling out
+// of the shadow DOM.
+
+const SESSION_EVENTS = [
+    'statuschange', 'talkingchange', 'meetingstarted', 'localstream', 'screensharechange',
+    'participantjoined', 'participantupdated', 'participantreconnecting', 'participantreconnected',
+    'participantleft', 'presentingchange', 'recordingchange', 'knock', 'knockended', 'interim',
+    'utterancepending', 'line', 'lineupdated', 'translationusage', 'callstats', 'videoqualitychange',
+    'error', 'ended',
+];
+const APP_URL = new URL('./index.html', import.meta.url);
+
+const TEMPLATE = `
+<style>
+    :host {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        font-family: sans-serif;
+        background: #1e1e1e;
+        color: #d4d4d4;
+        padding: 12px;
+        border-radius: 8px;
+    }
+    [hidden] { display: none !important; }
+    header { display: flex; align-items: center; gap: 12px; }
+    .topic { font-weight: 600; margin-right: auto; }
+    .status { font-size: 0.9em; color: #aaa; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 8px; }
+    .tile { position: relative; background: #000; border-radius: 6px; overflow: hidden; aspect-ratio: 16 / 9; }
+    .tile video { width: 100%; height: 100%; object-fit: cover; }
+    .grid.presenting { grid-template-columns: repeat(auto-fit, minmax(120px, 1fr)); }
+    .grid.presenting .tile.presenter { grid-column: 1 / -1; order: -1; }
+    .tile.presenter video { object-fit: contain; }
+    .tile .recording {
+        position: absolute; top: 6px; left: 6px;
+        background: #b72d2d; color: #fff; padding: 2px 6px; border-radius: 4px; font-size: 0.75em;
+    }
+    .tile .label {
+        position: absolute; bottom: 6px; left: 6px;
+        background: rgba(0, 0, 0, 0.6); color: #fff; padding: 2px 6px; border-radius: 4px; font-size: 0.85em;
+    }
+    .tile .interim {
+        position: absolute; bottom: 32px; left: 6px; right: 6px;
+        color: #fff; font-size: 0.85em; text-shadow: 0 0 4px #000;
+    }
+    .transcript { max-height: 240px; overflow-y: auto; display: flex; flex-direction: column; gap: 6px; }
+    .line .speaker { font-weight: 600; color: #82aaff; margin-right: 6px; }
+    .line .edited { margin-left: 6px; font-size: 0.8em; color: #ffcb6b; }
+    .line .translation { display: block; color: #c3e88d; }
+    .lobby { list-style: none; margin: 0; padding: 0; }
+    .lobby li { display: flex; align-items: center; gap: 8px; }
+    .controls { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; }
+    button { padding: 6px 14px; border: none; border-radius: 4px; background: #0e639c; color: #fff; cursor: pointer; }
+    button:disabled { opacity: 0.5; cursor: default; }
+    button.end { background: #b72d2d; }
+    button.talk.talking { background: #4caf50; }
+    .error { color: #f48771; }
+</style>
+<header>
+    <span class="topic"></span>
+    <span class="status">Idle</span>
+</header>
+<div class="grid">
+    <div class="tile local"><video muted autoplay playsinline></video><span class="label"></span></div>
+</div>
+<ul class="lobby"></ul>
+<div class="transcript" aria-live="polite"></div>
+<p class="error" hidden></p>
+<div class="controls">
+    <button class="create">Start Call</button>
+    <button class="join">Join Call</button>
+    <button class="talk" hidden>Hold to Talk</button>
+    <button class="mute" hidden>Mute</button>
+    <button class="copy-link" hidden>Copy Invitation Link</button>
+    <button class="end" hidden>End Call</button>
+</div>
+`;
+
+export class OnlineMeetingElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['name', 'topic', 'invitee', 'meeting-id'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE;
+        // Set as properties rather than attributes, so they do not show in the page's markup.
+        this.apiKey = null;
+        this.companion = null;
+        this.session = null;
+        this.tiles = new Map();
+        this.lineElements = new Map();
+
+        const $ = (selector) => this.shadowRoot.querySelector(selector);
+        this.elements = {
+            topic: $('.topic'),
+            status: $('.status'),
+            grid: $('.grid'),
+            localVideo: $('.local video'),
+            localLabel: $('.local .label'),
+            lobby: $('.lobby'),
+            transcript: $('.transcript'),
+            error: $('.error'),
+            createBtn: $('.create'),
+            joinBtn: $('.join'),
+            talkBtn: $('.talk'),
+            muteBtn: $('.mute'),
+            copyLinkBtn: $('.copy-link'),
+            endBtn: $('.end'),
+        };
+        const { createBtn, joinBtn, talkBtn, muteBtn, copyLinkBtn, endBtn } = this.elements;
+        createBtn.addEventListener('click', () => this.create().catch(() => {}));
+        joinBtn.addEventListener('click', () => this.join().catch(() => {}));
+        talkBtn.addEventListener('pointerdown', () => this.session?.startTalking());
+        talkBtn.addEventListener('pointerup', () => this.session?.stopTalking());
+        talkBtn.addEventListener('pointerleave', () => this.session?.stopTalking());
+        muteBtn.addEventListener('click', () => {
+            this.session?.setMuted(!this.session.isMuted);
+            muteBtn.textContent = this.session?.isMuted ? 'Unmute' : 'Mute';
+        });
+        copyLinkBtn.addEventListener('click', () => {
+            navigator.clipboard.writeText(this.invitationUrl).catch(e => console.error("Failed to copy invitation link:", e));
+        });
+        endBtn.addEventListener('click', () => this.end());
+    }
+
+    connectedCallback() {
+        this.render();
+    }
+
+    disconnectedCallback() {
+        this.end();
+    }
+
+    attributeChangedCallback() {
+        this.render();
+    }
+
+    get meetingId() {
+        return this.session?.meetingId ?? this.getAttribute('meeting-id');
+    }
+
+    // Link to the full app that joins this meeting, for inviting the other side.
+    get invitationUrl() {
+        if (!this.meetingId) return null;
+        const url = new URL(APP_URL);
+        url.searchParams.set('meetingId', this.meetingId);
+        return url.href;
+    }
+
+    // Resolves to the meeting ID.
+    create() {
+        return this.startSession(session => session.create());
+    }
+
+    join(meetingId = this.getAttribute('meeting-id')) {
+        return this.startSession(session => session.join(meetingId));
+    }
+
+    end() {
+        this.session?.end();
+    }
+
+    async startSession(start) {
+        if (this.session?.isActive) {
+            throw new Error('A call is already in progress.');
+        }
+        this.reset();
+        let session;
+        try {
+            session = new MeetingSession({
+                apiKey: this.apiKey,
+                companion: this.companion,
+                name: this.getAttribute('name') || undefined,
+                spokenLang: this.getAttribute('spoken-lang') || undefined,
+                readingLang: this.getAttribute('reading-lang') || undefined,
+                passcode: this.getAttribute('passcode') ?? '',
+                lobby: this.hasAttribute('lobby'),
+                handsFree: this.hasAttribute('hands-free'),
+                audioOnly: this.hasAttribute('audio-only'),
+            });
+        } catch (error) {
+            this.showError(error.message);
+            throw error;
+        }
+        this.session = session;
+        SESSION_EVENTS.forEach(type => session.addEventListener(type, (event) => {
+            this.handleSessionEvent(type, event.detail);
+            this.dispatchEvent(new CustomEvent(type, { detail: event.detail, bubbles: true, composed: true }));
+        }));
+        this.setInCall(true);
+        return start(session);
+    }
+
+    handleSessionEvent(type, detail) {
+        const { status, localVideo, lobby } = this.elements;
+        switch (type) {
+            case 'statuschange':
+                status.textContent = detail.text;
+                this.elements.talkBtn.classList.toggle('talking', detail.status === 'listening');
+                break;
+            case 'localstream':
+                localVideo.srcObject = detail.stream;
+                break;
+            case 'meetingstarted':
+                this.render();
+                break;
+            case 'participantjoined':
+            case 'participantupdated':
+            case 'participantreconnecting':
+            case 'participantreconnected':
+            case 'presentingchange':
+            case 'recordingchange':
+                this.renderParticipant(detail.participant);
+                break;
+            case 'participantleft':
+                this.tiles.get(detail.participant.peerId)?.tile.remove();
+                this.tiles.delete(detail.participant.peerId);
+                this.updatePresenterLayout();
+                break;
+            case 'interim': {
+                const tile = this.tiles.get(detail.participant.peerId);
+                if (tile) {
+                    tile.interim.textContent = detail.text;
+                }
+                break;
+            }
+            case 'knock':
+                lobby.appendChild(this.createLobbyItem(detail));
+                break;
+            case 'knockended':
+                Array.from(lobby.children).find(item => item.dataset.peerId === detail.peerId)?.remove();
+                break;
+            case 'line':
+            case 'lineupdated':
+                this.renderLine(detail.line);
+                break;
+            case 'error':
+                this.showError(detail.message);
+                break;
+            case 'ended':
+                this.setInCall(false);
+                lobby.replaceChildren();
+                break;
+        }
+    }
+
+    renderParticipant({ peerId, name, spokenLang, stream, isMuted, isPresenting, isRecording, isReconnecting }) {
+        let tile = this.tiles.get(peerId);
+        if (!tile) {
+            const element = document.createElement('div');
+            element.className = 'tile';
+            element.innerHTML = '<video autoplay playsinline></video><span class="recording" hidden>REC</span><span class="interim"></span><span class="label"></span>';
+            tile = {
+                tile: element,
+                video: element.querySelector('video'),
+                recording: element.querySelector('.recording'),
+                interim: element.querySelector('.interim'),
+                label: element.querySelector('.label'),
+            };
+            this.tiles.set(peerId, tile);
+            this.elements.grid.appendChild(element);
+        }
+        if (stream && tile.video.srcObject !== stream) {
+            tile.video.srcObject = stream;
+        }
+        tile.label.textContent = [name, spokenLang, isMuted ? 'muted' : null, isReconnecting ? 'reconnecting' : null].filter(Boolean).join(' · ');
+        // Everyone should know they are being recorded, whoever records.
+        tile.recording.hidden = !isRecording;
+        tile.tile.classList.toggle('presenter', isPresenting);
+        this.updatePresenterLayout();
+    }
+
+    // A shared screen takes the full width above the other tiles.
+    updatePresenterLayout() {
+        const { grid } = this.elements;
+        grid.classList.toggle('presenting', Boolean(grid.querySelector('.tile.presenter')));
+    }
+
+    renderLine(line) {
+        let element = this.lineElements.get(line.id);
+        if (!element) {
+            element = document.createElement('div');
+            element.className = 'line';
+            element.innerHTML = '<span class="speaker"></span><span class="original"></span><span class="edited" hidden>(edited)</span><span class="translation"></span>';
+            this.lineElements.set(line.id, element);
+            this.elements.transcript.appendChild(element);
+            // A final line replaces the speaker's interim caption.
+            const tile = this.tiles.get(line.peerId);
+            if (tile) {
+                tile.interim.textContent = '';
+            }
+        }
+        element.querySelector('.speaker').textContent = `${line.speaker}:`;
+        element.querySelector('.original').textContent = line.original;
+        element.querySelector('.edited').hidden = !line.editedAt;
+        const translation = element.querySelector('.translation');
+        if (line.translationStatus === null) {
+            translation.textContent = '';
+        } else if (line.translationStatus === 'failed') {
+            translation.textContent = '[Translation Error]';
+        } else if (line.translationStatus === 'retrying') {
+            translation.textContent = 'Translation delayed, retrying...';
+        } else {
+            translation.textContent = line.translation ?? 'Translating...';
+        }
+        this.elements.transcript.scrollTop = this.elements.transcript.scrollHeight;
+    }
+
+    // Removed again on 'knockended'.
+    createLobbyItem({ peerId, name }) {
+        const item = document.createElement('li');
+        item.dataset.peerId = peerId;
+        const text = document.createElement('span');
+        text.textContent = `${name} is waiting to join.`;
+        const admitBtn = document.createElement('button');
+        admitBtn.textContent = 'Admit';
+        admitBtn.addEventListener('click', () => this.session?.admit(peerId));
+        const denyBtn = document.createElement('button');
+        denyBtn.className = 'end';
+        denyBtn.textContent = 'Deny';
+        denyBtn.addEventListener('click', () => this.session?.deny(peerId));
+        item.append(text, admitBtn, denyBtn);
+        return item;
+    }
+
+    render() {
+        const { topic, localLabel, joinBtn, copyLinkBtn } = this.elements;
+        const invitee = this.getAttribute('invitee');
+        topic.textContent = [this.getAttribute('topic'), invitee && `Call with ${invitee}`].filter(Boolean).join(' · ');
+        localLabel.textContent = this.getAttribute('name') || 'You';
+        joinBtn.disabled = !this.getAttribute('meeting-id');
+        copyLinkBtn.hidden = !this.session?.isActive || !this.session.isHost;
+    }
+
+    setInCall(inCall) {
+        const { createBtn, joinBtn, talkBtn, muteBtn, endBtn, localVideo } = this.elements;
+        createBtn.hidden = inCall;
+        joinBtn.hidden = inCall;
+        talkBtn.hidden = !inCall || this.hasAttribute('hands-free');
+        muteBtn.hidden = !inCall;
+        muteBtn.textContent = 'Mute';
+        endBtn.hidden = !inCall;
+        if (!inCall) {
+            localVideo.srcObject = null;
+            this.tiles.forEach(({ tile }) => tile.remove());
+            this.tiles.clear();
+            this.updatePresenterLayout();
+        }
+        this.render();
+    }
+
+    reset() {
+        this.elements.error.hidden = true;
+        this.elements.transcript.replaceChildren();
+        this.lineElements.clear();
+    }
+
+    showError(message) {
+        this.elements.error.textContent = message;
+        this.elements.error.hidden = false;
+    }
+}
+
+if (!customElements.get('online-meeting')) {
+    customElements.define('online-meeting', OnlineMeetingElement);
+}
@@ -0,0 +1,72 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Converts microphone audio into the 16-bit PCM chunks the live session expects.
+//
+// Used both inside the AudioWorklet (audio-capture-processor.js) and by the
+// ScriptProcessorNode fallback in audio-capture.js, so it must not touch any
+// main-thread APIs.
+
+export const TARGET_SAMPLE_RATE = 16000;
+
+export class PcmChunker {
+    constructor({ inputSampleRate, targetSampleRate = TARGET_SAMPLE_RATE, chunkMs = 100, onChunk }) {
+        this.ratio = inputSampleRate / targetSampleRate;
+        this.targetSampleRate = targetSampleRate;
+        this.chunkSize = Math.max(1, Math.round(targetSampleRate * chunkMs / 1000));
+        this.onChunk = onChunk;
+
+        // Position of the next output sample, in input samples relative to the
+        // start of the next block. -1 <= position < 0 interpolates from the last
+        // sample of the previous block.
+        this.position = 0;
+        this.lastSample = 0;
+        this.resetChunk();
+    }
+
+    resetChunk() {
+        this.chunk = new Int16Array(this.chunkSize);
+        this.chunkLength = 0;
+        this.sumOfSquares = 0;
+    }
+
+    // Resamples a block of float samples with linear interpolation.
+    push(samples) {
+        while (this.position < samples.length) {
+            const index = Math.floor(this.position);
+            if (index + 1 >= samples.length) break; // Needs the next block.
+            const fraction = this.position - index;
+            const from = index < 0 ? this.lastSample : samples[index];
+            this.writeSample(from + (samples[index + 1] - from) * fraction);
+            this.position += this.ratio;
+        }
+        this.position -= samples.length;
+        if (samples.length > 0) {
+            this.lastSample = samples[samples.length - 1];
+        }
+    }
+
+    writeSample(sample) {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        this.chunk[this.chunkLength++] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF;
+        this.sumOfSquares += clamped * clamped;
+        if (this.chunkLength === this.chunkSize) {
+            this.emit(false);
+        }
+    }
+
+    // Emits whatever is buffered, e.g. when the user stops talking mid-chunk.
+    flush() {
+        this.emit(true);
+    }
+
+    emit(flushed) {
+        const length = this.chunkLength;
+        const pcm = length === this.chunkSize ? this.chunk : this.chunk.slice(0, length);
+        const level = length ? Math.sqrt(this.sumOfSquares / length) : 0;
+        this.resetChunk();
+        this.onChunk({ pcm, level, durationMs: length / this.targetSampleRate * 1000, flushed });
+    }
+}
@@ -0,0 +1,52 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Shields text that must survive translation verbatim (URLs, e-mail addresses,
+// prices, item/fabric codes and formatted numbers) by swapping it for
+// placeholders before translating and putting it back afterwards.
+
+const TOKEN_PATTERNS = [
+    // URLs
+    /\bhttps?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)]|\bwww\.[^\s<>"']+[^\s<>"'.,;:!?)]/u,
+    // E-mail addresses
+    /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/u,
+    // Prices: a currency symbol or code before or after an amount
+    /(?:[$€£¥₺]|\b(?:USD|EUR|GBP|TRY|CNY|RMB)\s?)\d[\d.,']*\d|(?:[$€£¥₺]|\b(?:USD|EUR|GBP|TRY|CNY|RMB)\s?)\d|\b\d[\d.,']*\s?(?:[$€£¥₺]|(?:USD|EUR|GBP|TRY|CNY|RMB)\b)/u,
+    // Codes mixing letters and digits, e.g. TX-2045/B, 150GSM, PO#88213
+    /(?<![\p{L}\p{N}])(?=[\p{L}\p{N}#\-/._]*\p{N})(?=[\p{L}\p{N}#\-/._]*\p{L})[\p{L}\p{N}#]+(?:[-/._][\p{L}\p{N}#]+)*(?![\p{L}\p{N}])/u,
+    // Numbers with thousands or decimal separators, e.g. 1.250,50 or 12-345-67
+    /\b\d+(?:[.,\-/]\d+)+\b/u,
+];
+
+const TOKEN_REGEX = new RegExp(TOKEN_PATTERNS.map(pattern => `(?:${pattern.source})`).join('|'), 'gu');
+const PLACEHOLDER_REGEX = /⟦\s*T\s*(\d+)\s*⟧/g;
+
+export function protectTokens(text) {
+    const tokens = [];
+    const protectedText = text.replace(TOKEN_REGEX, (match) => {
+        tokens.push(match);
+        return `⟦T${tokens.length - 1}⟧`;
+    });
+    return { text: protectedText, tokens };
+}
+
+// Puts the original tokens back. Tokens whose placeholder the translator
+// dropped are appended, so no code or price is ever silently lost.
+export function restoreTokens(translation, tokens) {
+    const restored = new Set();
+    const text = translation.replace(PLACEHOLDER_REGEX, (match, index) => {
+        const token = tokens[Number(index)];
+        if (token === undefined) return match;
+        restored.add(Number(index));
+        return token;
+    });
+    const missing = tokens.filter((token, index) => !restored.has(index));
+    return missing.length ? `${text} (${missing.join(', ')})` : text;
+}
+
+// True if nothing is left to translate once the tokens are taken out.
+export function isOnlyTokens(protectedText) {
+    return !/\p{L}/u.test(protectedText.replace(PLACEHOLDER_REGEX, ''));
+}
@@ -0,0 +1,307 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Companion server that keeps the Google AI API key out of the browser.
+//
+// The browser authenticates with a personal access token. The server then
+//   - proxies `generateContent` calls (translation, summaries) with its own key, and
+//   - hands out single-use, short-lived tokens for live transcription sessions.
+// Usage is counted per user and per day against the user's limits.
+//
+// Runs on Node 18+ with no dependencies:
+//
+//     GEMINI_API_KEY=... ALLOWED_ORIGINS=https://meet.example.com node server/companion-server.mjs
+//
+// Environment:
+//     GEMINI_API_KEY    The Google AI API key. Required.
+//     PORT              Port to listen on. Default 8787.
+//     ALLOWED_ORIGINS   Comma-separated origins the app is served from. Default '*'.
+//     USERS_FILE        Default server/users.json, see users.example.json.
+//     USAGE_FILE        Where daily usage is kept. Default server/usage.json.
+//     GENERATE_MODELS   Comma-separated models allowed through the proxy. Default gemini-2.5-flash.
+//     LIVE_MODEL        Model that live tokens are locked to.
+//
+// Access tokens are stored as SHA-256 hashes. To add a user, run
+//
+//     node server/companion-server.mjs new-token
+//
+// give the token to the user and put the printed hash into USERS_FILE.
+
+import { createServer } from 'node:http';
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const SERVER_DIR = dirname(fileURLToPath(import.meta.url));
+const GOOGLE_API_URL = 'https://generativelanguage.googleapis.com';
+const MAX_BODY_BYTES = 1024 * 1024;
+const LIVE_TOKEN_TTL_MS = 30 * 60 * 1000;
+// How long a live token can be used to open its session.
+const LIVE_TOKEN_START_MS = 60 * 1000;
+const USAGE_SAVE_DELAY_MS = 2000;
+const DEFAULT_LIMITS = { liveSessionsPerDay: 50, tokensPerDay: 1000000 };
+
+const config = {
+    apiKey: process.env.GEMINI_API_KEY,
+    port: Number(process.env.PORT) || 8787,
+    allowedOrigins: (process.env.ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean),
+    usersFile: process.env.USERS_FILE || join(SERVER_DIR, 'users.json'),
+    usageFile: process.env.USAGE_FILE || join(SERVER_DIR, 'usage.json'),
+    generateModels: (process.env.GENERATE_MODELS || 'gemini-2.5-flash').split(',').map(model => model.trim()).filter(Boolean),
+    liveModel: process.env.LIVE_MODEL || 'gemini-2.5-flash-native-audio-preview-09-2025',
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// --- Users and Usage ---
+
+function hashToken(token) {
+    return createHash('sha256').update(token).digest();
+}
+
+function loadUsers() {
+    const users = JSON.parse(readFileSync(config.usersFile, 'utf8'));
+    return users.map(user => ({
+        id: user.id,
+        tokenHash: Buffer.from(user.tokenHash, 'hex'),
+        limits: { ...DEFAULT_LIMITS, ...user.limits },
+    }));
+}
+
+function authenticate(req, users) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers['authorization'] ?? '')?.[1];
+    // The browser SDK sends the access token as its API key.
+    const token = bearer ?? req.headers['x-goog-api-key'];
+    if (!token) {
+        throw new HttpError(401, 'Missing access token.');
+    }
+    const hash = hashToken(token);
+    const user = users.find(candidate => candidate.tokenHash.length === hash.length && timingSafeEqual(candidate.tokenHash, hash));
+    if (!user) {
+        throw new HttpError(401, 'Invalid access token.');
+    }
+    return user;
+}
+
+// Usage is `{ day, users: { [userId]: { liveSessions, tokens } } }` and starts
+// over every day (UTC).
+function createUsageStore(file) {
+    let usage = { day: null, users: {} };
+    let saveTimer = null;
+    if (existsSync(file)) {
+        try {
+            usage = JSON.parse(readFileSync(file, 'utf8'));
+        } catch (e) {
+            console.error('Failed to read usage file, starting from zero:', e);
+        }
+    }
+
+    function getToday() {
+        const today = new Date().toISOString().slice(0, 10);
+        if (usage.day !== today) {
+            usage = { day: today, users: {} };
+        }
+        return usage;
+    }
+
+    return {
+        get(userId) {
+            return getToday().users[userId] ?? { liveSessions: 0, tokens: 0 };
+        },
+        add(userId, { liveSessions = 0, tokens = 0 }) {
+            const current = this.get(userId);
+            getToday().users[userId] = {
+                liveSessions: current.liveSessions + liveSessions,
+                tokens: current.tokens + tokens,
+            };
+            clearTimeout(saveTimer);
+            saveTimer = setTimeout(() => {
+                try {
+                    writeFileSync(file, JSON.stringify(usage, null, 2));
+                } catch (e) {
+                    console.error('Failed to save usage file:', e);
+                }
+            }, USAGE_SAVE_DELAY_MS);
+        },
+    };
+}
+
+// --- Google AI ---
+
+// Creates a token that opens exactly one live session with the app's
+// transcription setup and nothing else.
+async function createLiveToken() {
+    const now = Date.now();
+    const expireTime = new Date(now + LIVE_TOKEN_TTL_MS).toISOString();
+    const response = await fetch(`${GOOGLE_API_URL}/v1alpha/auth_tokens`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': config.apiKey },
+        body: JSON.stringify({
+            uses: 1,
+            expireTime,
+            newSessionExpireTime: new Date(now + LIVE_TOKEN_START_MS).toISOString(),
+            bidiGenerateContentSetup: {
+                model: `models/${config.liveModel}`,
+                generationConfig: { responseModalities: ['AUDIO'] },
+                inputAudioTranscription: {},
+            },
+        }),
+    });
+    if (!response.ok) {
+        console.error('Creating a live token failed:', response.status, await response.text());
+        throw new HttpError(502, 'Could not create a live session token.');
+    }
+    const data = await response.json();
+    return { token: data.name, expireTime, model: config.liveModel };
+}
+
+async function proxyGenerateContent(apiVersion, model, body) {
+    const response = await fetch(`${GOOGLE_API_URL}/${apiVersion}/models/${encodeURIComponent(model)}:generateContent`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': config.apiKey },
+        body,
+    });
+    return { status: response.status, text: await response.text() };
+}
+
+// --- HTTP ---
+
+function setCorsHeaders(req, res) {
+    const origin = req.headers.origin;
+    if (config.allowedOrigins.includes('*')) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && config.allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] ?? 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Max-Age', '600');
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+async function readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, 'Request body too large.');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+function checkLimit(user, usage, key, limitKey) {
+    if (usage.get(user.id)[key] >= user.limits[limitKey]) {
+        throw new HttpError(429, `Daily limit reached (${limitKey}: ${user.limits[limitKey]}).`);
+    }
+}
+
+function createRequestHandler(users, usage) {
+    return async (req, res) => {
+        setCorsHeaders(req, res);
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        try {
+            const { pathname } = new URL(req.url, 'http://localhost');
+            const path = pathname.replace(/\/{2,}/g, '/');
+            const user = authenticate(req, users);
+
+            if (req.method === 'GET' && path === '/api/usage') {
+                sendJson(res, 200, { user: user.id, day: new Date().toISOString().slice(0, 10), usage: usage.get(user.id), limits: user.limits });
+                return;
+            }
+
+            if (req.method === 'POST' && path === '/api/live-token') {
+                checkLimit(user, usage, 'liveSessions', 'liveSessionsPerDay');
+                const token = await createLiveToken();
+                usage.add(user.id, { liveSessions: 1 });
+                sendJson(res, 200, token);
+                return;
+            }
+
+            const generateMatch = /^\/gemini\/(v1|v1beta|v1alpha)\/models\/([\w.-]+):generateContent$/.exec(path);
+            if (req.method === 'POST' && generateMatch) {
+                const [, apiVersion, model] = generateMatch;
+                if (!config.generateModels.includes(model)) {
+                    throw new HttpError(403, `The model "${model}" is not allowed on this server.`);
+                }
+                checkLimit(user, usage, 'tokens', 'tokensPerDay');
+                const result = await proxyGenerateContent(apiVersion, model, await readBody(req));
+                if (result.status === 200) {
+                    try {
+                        const tokens = JSON.parse(result.text).usageMetadata?.totalTokenCount ?? 0;
+                        usage.add(user.id, { tokens });
+                    } catch (e) {
+                        console.error('Could not read token usage from response:', e);
+                    }
+                }
+                res.writeHead(result.status, { 'Content-Type': 'application/json' });
+                res.end(result.text);
+                return;
+            }
+
+            throw new HttpError(404, 'Not found.');
+        } catch (e) {
+            if (!(e instanceof HttpError)) {
+                console.error('Request failed:', e);
+            }
+            const status = e instanceof HttpError ? e.status : 500;
+            // The Google SDK reads errors in this shape.
+            sendJson(res, status, { error: { code: status, message: e instanceof HttpError ? e.message : 'Internal server error.' } });
+        }
+    };
+}
+
+function main() {
+    const [command, token] = process.argv.slice(2);
+    if (command === 'new-token') {
+        const newToken = randomBytes(24).toString('base64url');
+        console.log(`Token:      ${newToken}`);
+        console.log(`tokenHash:  ${hashToken(newToken).toString('hex')}`);
+        return;
+    }
+    if (command === 'hash-token') {
+        if (!token) {
+            console.error('Usage: node server/companion-server.mjs hash-token <token>');
+            process.exitCode = 1;
+            return;
+        }
+        console.log(hashToken(token).toString('hex'));
+        return;
+    }
+
+    if (!config.apiKey) {
+        console.error('GEMINI_API_KEY is not set.');
+        process.exitCode = 1;
+        return;
+    }
+    const users = loadUsers();
+    if (config.allowedOrigins.includes('*')) {
+        console.warn('ALLOWED_ORIGINS is not set, so any website can call this server with a valid access token.');
+    }
+    const server = createServer(createRequestHandler(users, createUsageStore(config.usageFile)));
+    server.listen(config.port, () => {
+        console.log(`Companion server listening on port ${config.port} for ${users.length} users.`);
+    });
+}
+
+main();
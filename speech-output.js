@@ -0,0 +1,65 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Reads translations aloud with the browser's speech synthesis.
+//
+// Utterances are queued by the browser, so translations that arrive while
+// another one is playing are spoken in turn.
+
+export function isSpeechSupported() {
+    return 'speechSynthesis' in window;
+}
+
+// Voices whose BCP 47 tag matches the language code (e.g. 'zh' matches 'zh-CN').
+export function getVoicesForLanguage(languageCode) {
+    if (!isSpeechSupported() || !languageCode) return [];
+    const prefix = languageCode.toLowerCase();
+    return speechSynthesis.getVoices().filter(voice => {
+        const lang = voice.lang.toLowerCase().replace('_', '-');
+        return lang === prefix || lang.startsWith(`${prefix}-`);
+    });
+}
+
+// Voices load asynchronously in most browsers; `callback` runs whenever the list changes.
+export function onVoicesChanged(callback) {
+    if (isSpeechSupported()) {
+        speechSynthesis.addEventListener('voiceschanged', callback);
+    }
+}
+
+// Speaks `text` and resolves once it has finished (or failed) playing.
+// `onStart` fires when playback actually begins, which can be much later
+// than the call if other utterances are queued.
+export function speak({ text, languageCode, voiceURI, volume = 1, onStart }) {
+    return new Promise(resolve => {
+        if (!isSpeechSupported() || !text) {
+            resolve();
+            return;
+        }
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = languageCode;
+        utterance.volume = volume;
+        const voice = speechSynthesis.getVoices().find(candidate => candidate.voiceURI === voiceURI);
+        if (voice) {
+            utterance.voice = voice;
+        }
+        utterance.onstart = () => onStart?.();
+        utterance.onend = () => resolve();
+        utterance.onerror = (event) => {
+            // 'interrupted' and 'canceled' are the result of cancelSpeech().
+            if (event.error !== 'interrupted' && event.error !== 'canceled') {
+                console.error("Speech synthesis failed:", event.error);
+            }
+            resolve();
+        };
+        speechSynthesis.speak(utterance);
+    });
+}
+
+export function cancelSpeech() {
+    if (isSpeechSupported()) {
+        speechSynthesis.cancel();
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Serializes a meeting transcript into the downloadable export formats.
+//
+// A transcript is `{ meetingId, startedAt, lines }`, where every line is a
+// record as built by `MeetingSession.addLine()` in meeting-session.js:
+// `{ id, messageId, kind, peerId, speaker, startedAt, endedAt, original, translation, translationStatus, sourceLang, targetLang, glossaryTerms, editedAt }`,
+// where `kind` is 'speech' or 'chat' (typed) and `editedAt` is set once the
+// speaker corrected the line. All timestamps are epoch milliseconds.
+
+export const EXPORT_FORMATS = {
+    vtt: { label: 'WebVTT (.vtt)', extension: 'vtt', mimeType: 'text/vtt', serialize: toWebVTT },
+    srt: { label: 'SubRip (.srt)', extension: 'srt', mimeType: 'application/x-subrip', serialize: toSRT },
+    json: { label: 'JSON (.json)', extension: 'json', mimeType: 'application/json', serialize: toJSON },
+    md: { label: 'Bilingual Markdown (.md)', extension: 'md', mimeType: 'text/markdown', serialize: toMarkdown },
+};
+
+// Cues shorter than this are stretched so subtitle players still show them.
+const MIN_CUE_DURATION_MS = 1000;
+
+export function formatTranscript(formatId, transcript) {
+    const format = EXPORT_FORMATS[formatId];
+    if (!format) {
+        throw new Error(`Unknown transcript export format: ${formatId}`);
+    }
+    return format.serialize(transcript);
+}
+
+export function toWebVTT({ startedAt, lines }) {
+    const cues = lines.map(line => {
+        const { start, end } = getCueRange(line, startedAt);
+        const text = [line.original, line.translation].filter(Boolean).map(escapeVttText).join('\n');
+        return `${line.id}\n${formatTimestamp(start, '.')} --> ${formatTimestamp(end, '.')}\n<v ${escapeVttText(line.speaker)}>${text}`;
+    });
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+export function toSRT({ startedAt, lines }) {
+    const cues = lines.map((line, index) => {
+        const { start, end } = getCueRange(line, startedAt);
+        const text = [`${line.speaker}: ${line.original}`, line.translation].filter(Boolean).join('\n');
+        return `${index + 1}\n${formatTimestamp(start, ',')} --> ${formatTimestamp(end, ',')}\n${text}`;
+    });
+    return cues.join('\n\n') + '\n';
+}
+
+export function toJSON({ meetingId, startedAt, lines }) {
+    return JSON.stringify({
+        meetingId,
+        startedAt: new Date(startedAt).toISOString(),
+        lines: lines.map(line => ({
+            id: line.id,
+            kind: line.kind ?? 'speech',
+            speaker: line.speaker,
+            startedAt: new Date(line.startedAt).toISOString(),
+            endedAt: new Date(line.endedAt).toISOString(),
+            original: line.original,
+            translation: line.translation,
+            sourceLang: line.sourceLang,
+            targetLang: line.targetLang,
+            glossaryTerms: line.glossaryTerms ?? [],
+            editedAt: line.editedAt ? new Date(line.editedAt).toISOString() : null,
+        })),
+    }, null, 2);
+}
+
+export function toMarkdown({ meetingId, startedAt, lines }) {
+    const languages = new Set(lines.flatMap(line => [line.sourceLang, line.targetLang]));
+    const header = [
+        '# Meeting Transcript',
+        '',
+        `- **Meeting ID:** ${meetingId}`,
+        `- **Date:** ${new Date(startedAt).toLocaleString()}`,
+        `- **Languages:** ${Array.from(languages).join(', ')}`,
+        '',
+        '| Time | Speaker | Original | Translation |',
+        '| --- | --- | --- | --- |',
+    ];
+    const rows = lines.map(line => {
+        const { start } = getCueRange(line, startedAt);
+        const cells = [
+            formatTimestamp(start, '.').slice(0, 8),
+            line.kind === 'chat' ? `${line.speaker} (typed)` : line.speaker,
+            line.original,
+            line.translation || '',
+        ];
+        return `| ${cells.map(escapeMarkdownCell).join(' | ')} |`;
+    });
+    return [...header, ...rows].join('\n') + '\n';
+}
+
+function getCueRange(line, meetingStartedAt) {
+    const start = Math.max(0, line.startedAt - meetingStartedAt);
+    const end = Math.max(start + MIN_CUE_DURATION_MS, line.endedAt - meetingStartedAt);
+    return { start, end };
+}
+
+// Formats milliseconds as HH:MM:SS<separator>mmm (WebVTT uses '.', SRT uses ',').
+function formatTimestamp(ms, separator) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor(ms / 60000) % 60;
+    const seconds = Math.floor(ms / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(Math.floor(ms % 1000), 3)}`;
+}
+
+function escapeVttText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeMarkdownCell(text) {
+    return text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
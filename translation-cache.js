@@ -0,0 +1,82 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Remembers translations so repeated phrases ("Thank you", item codes,
+// standard questions) are not sent to the provider again.
+//
+// Entries are keyed by provider, language pair, text and the glossary terms
+// that applied, and are kept in memory and in localStorage. The least
+// recently used entries are dropped once the cache is full.
+
+const STORAGE_KEY = 'translationCache';
+const MAX_ENTRIES = 1000;
+const SAVE_DELAY_MS = 1000;
+
+export class TranslationCache {
+    constructor({ storageKey = STORAGE_KEY, maxEntries = MAX_ENTRIES } = {}) {
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
+        this.entries = new Map(this.load());
+        this.saveTimer = null;
+    }
+
+    // `request` is `{ providerId, text, sourceLang, targetLang, glossary }`.
+    get(request) {
+        const key = getCacheKey(request);
+        const translation = this.entries.get(key);
+        if (translation === undefined) return null;
+        // Re-inserting keeps the Map in least-recently-used order.
+        this.entries.delete(key);
+        this.entries.set(key, translation);
+        return translation;
+    }
+
+    set(request, translation) {
+        const key = getCacheKey(request);
+        this.entries.delete(key);
+        this.entries.set(key, translation);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.scheduleSave();
+    }
+
+    clear() {
+        this.entries.clear();
+        clearTimeout(this.saveTimer);
+        localStorage.removeItem(this.storageKey);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            console.error("Failed to read translation cache:", e);
+            return [];
+        }
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.entries)));
+            } catch (e) {
+                // Most likely the storage quota; the in-memory cache still works.
+                console.error("Failed to save translation cache:", e);
+            }
+        }, SAVE_DELAY_MS);
+    }
+}
+
+function getCacheKey({ providerId, text, sourceLang, targetLang, glossary = [] }) {
+    const terms = glossary.map(({ sourceTerm, targetTerm }) => `${sourceTerm}=${targetTerm}`).sort();
+    return JSON.stringify([providerId, sourceLang, targetLang, text.trim().replace(/\s+/g, ' '), terms]);
+}
@@ -0,0 +1,181 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { getLanguageCode } from './languages.js';
+import { protectGlossaryTerms } from './glossary.js';
+
+// Translation backends.
+//
+// Every provider descriptor has a `label`, a list of `fields` that the
+// settings UI renders, and a `create(config, context)` factory. The factory
+// returns an object with a single method:
+//
+//     translate({ text, sourceLang, targetLang, glossary }) -> Promise<string>
+//
+// `sourceLang` and `targetLang` are language names from languages.js.
+// `glossary` lists the `{ sourceTerm, targetTerm }` pairs found in the text
+// (see glossary.js) that must be translated exactly as given.
+// `context.getAi()` returns the shared GoogleGenAI client.
+
+const SETTINGS_STORAGE_KEY = 'translationProviderSettings';
+const DEFAULT_PROVIDER_ID = 'gemini';
+
+export class TranslationProviderError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'TranslationProviderError';
+        this.status = status;
+    }
+}
+
+// `sourceLang` may be null when the speaker has not announced their language yet.
+export function getSystemInstruction(sourceLang, targetLang, glossary = []) {
+    const sourceHint = sourceLang
+        ? `The input text is in ${sourceLang}.`
+        : 'Detect the source language of the input text.';
+    return `You are a machine translation service. Your ONLY function is to translate text into ${targetLang}.
+- ${sourceHint} Provide a direct translation into ${targetLang}.
+- Your output MUST contain ONLY the translated text and nothing else.
+- Copy placeholders such as ⟦T0⟧ into the translation exactly as they appear.
+- Do NOT add any greetings, explanations, apologies, or any text that is not the direct translation.${getGlossaryInstruction(glossary)}`;
+}
+
+function getGlossaryInstruction(glossary) {
+    if (glossary.length === 0) return '';
+    const terms = glossary.map(({ sourceTerm, targetTerm }) => `  "${sourceTerm}" => "${targetTerm}"`);
+    return `\n- ALWAYS translate these terms exactly as given, keeping the target term unchanged:\n${terms.join('\n')}`;
+}
+
+export const TRANSLATION_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        fields: [
+            { id: 'model', label: 'Model', type: 'text', default: 'gemini-2.5-flash' },
+        ],
+        create: (config, { getAi }) => ({
+            async translate({ text, sourceLang, targetLang, glossary }) {
+                const response = await getAi().models.generateContent({
+                    model: config.model,
+                    contents: [{ parts: [{ text }] }],
+                    config: { systemInstruction: getSystemInstruction(sourceLang, targetLang, glossary) },
+                });
+                return response.text;
+            },
+        }),
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        fields: [
+            { id: 'baseUrl', label: 'Base URL', type: 'url', default: 'https://api.openai.com/v1' },
+            { id: 'apiKey', label: 'API Key', type: 'password', default: '' },
+            { id: 'model', label: 'Model', type: 'text', default: 'gpt-4o-mini' },
+        ],
+        create: (config) => ({
+            async translate({ text, sourceLang, targetLang, glossary }) {
+                const headers = { 'Content-Type': 'application/json' };
+                if (config.apiKey) {
+                    headers['Authorization'] = `Bearer ${config.apiKey}`;
+                }
+                const data = await postJson(`${trimSlashes(config.baseUrl)}/chat/completions`, headers, {
+                    model: config.model,
+                    temperature: 0,
+                    messages: [
+                        { role: 'system', content: getSystemInstruction(sourceLang, targetLang, glossary) },
+                        { role: 'user', content: text },
+                    ],
+                });
+                return data.choices?.[0]?.message?.content;
+            },
+        }),
+    },
+    libretranslate: {
+        label: 'LibreTranslate',
+        fields: [
+            { id: 'baseUrl', label: 'Server URL', type: 'url', default: 'http://localhost:5000' },
+            { id: 'apiKey', label: 'API Key (optional)', type: 'password', default: '' },
+        ],
+        create: (config) => ({
+            async translate({ text, sourceLang, targetLang, glossary = [] }) {
+                const target = getLanguageCode(targetLang);
+                if (!target) {
+                    throw new TranslationProviderError(`LibreTranslate does not know the language "${targetLang}".`);
+                }
+                // Fall back to detection if the speaker's language is unknown.
+                const source = getLanguageCode(sourceLang) ?? 'auto';
+                // LibreTranslate takes no instructions, so glossary terms go through as placeholders.
+                const { text: protectedText, restore } = protectGlossaryTerms(text, glossary);
+                const data = await postJson(`${trimSlashes(config.baseUrl)}/translate`, { 'Content-Type': 'application/json' }, {
+                    q: protectedText,
+                    source,
+                    target,
+                    format: 'text',
+                    ...(config.apiKey ? { api_key: config.apiKey } : {}),
+                });
+                return data.translatedText && restore(data.translatedText);
+            },
+        }),
+    },
+    mock: {
+        label: 'Mock (offline testing)',
+        fields: [
+            { id: 'delayMs', label: 'Delay (ms)', type: 'number', default: '200' },
+        ],
+        create: (config) => ({
+            async translate({ text, sourceLang, targetLang, glossary = [] }) {
+                await new Promise(resolve => setTimeout(resolve, Number(config.delayMs) || 0));
+                const from = getLanguageCode(sourceLang) ?? sourceLang ?? 'auto';
+                const to = getLanguageCode(targetLang) ?? targetLang;
+                const { text: protectedText, restore } = protectGlossaryTerms(text, glossary);
+                return restore(`[${from}→${to}] ${protectedText}`);
+            },
+        }),
+    },
+};
+
+// Settings are stored as `{ providerId, configs: { [providerId]: { [fieldId]: value } } }`
+// so switching providers back and forth keeps what was entered for each one.
+export function loadTranslationSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.error("Failed to read translation settings:", e);
+    }
+    const providerId = TRANSLATION_PROVIDERS[stored.providerId] ? stored.providerId : DEFAULT_PROVIDER_ID;
+    const configs = {};
+    Object.entries(TRANSLATION_PROVIDERS).forEach(([id, provider]) => {
+        configs[id] = getDefaultConfig(provider, stored.configs?.[id]);
+    });
+    return { providerId, configs };
+}
+
+export function saveTranslationSettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+export function createTranslationProvider({ providerId, configs }, context) {
+    const provider = TRANSLATION_PROVIDERS[providerId];
+    return provider.create(getDefaultConfig(provider, configs[providerId]), context);
+}
+
+function getDefaultConfig(provider, config = {}) {
+    const result = {};
+    provider.fields.forEach(field => {
+        result[field.id] = config[field.id] ?? field.default;
+    });
+    return result;
+}
+
+async function postJson(url, headers, body) {
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+    if (!response.ok) {
+        throw new TranslationProviderError(`Translation request to ${url} failed with status ${response.status}.`, response.status);
+    }
+    return response.json();
+}
+
+// Also used for the companion server URL.
+export function trimSlashes(url) {
+    return url.trim().replace(/\/+$/, '');
+}
@@ -0,0 +1,81 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { Backoff } from './backoff.js';
+
+// Runs translation requests in the order they were made, a few at a time.
+//
+// Requests that fail with a rate limit (429), a server error (5xx) or a
+// network error are retried with exponential backoff. A rate limit applies to
+// every request, so while one request waits to be retried the whole queue
+// waits, and the retry goes out before anything queued after it.
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+export function isRetryableError(error) {
+    const status = error?.status;
+    if (typeof status === 'number') {
+        return status === 429 || status >= 500;
+    }
+    // fetch rejects with a TypeError when the network is down.
+    return error instanceof TypeError;
+}
+
+export class TranslationQueue {
+    constructor({ concurrency = DEFAULT_CONCURRENCY, maxAttempts = DEFAULT_MAX_ATTEMPTS, initialDelayMs = 2000, maxDelayMs = 30000 } = {}) {
+        this.concurrency = concurrency;
+        this.maxAttempts = maxAttempts;
+        this.backoffOptions = { initialDelayMs, maxDelayMs };
+        this.jobs = [];
+        this.active = 0;
+        this.pausedUntil = 0;
+        this.resumeTimer = null;
+    }
+
+    // Resolves to what `task` resolves to. `task` is called again for every
+    // retry; `onRetry(error, delayMs)` is called before each one.
+    run(task, { maxAttempts = this.maxAttempts, onRetry } = {}) {
+        return new Promise((resolve, reject) => {
+            const backoff = new Backoff({ ...this.backoffOptions, maxAttempts: maxAttempts - 1 });
+            this.jobs.push({ task, resolve, reject, backoff, onRetry });
+            this.pump();
+        });
+    }
+
+    pump() {
+        if (this.resumeTimer) return;
+        while (this.active < this.concurrency && this.jobs.length > 0) {
+            this.execute(this.jobs.shift());
+        }
+    }
+
+    async execute(job) {
+        this.active++;
+        try {
+            job.resolve(await job.task());
+        } catch (error) {
+            const delay = isRetryableError(error) ? job.backoff.next() : null;
+            if (delay === null) {
+                job.reject(error);
+            } else {
+                job.onRetry?.(error, delay);
+                this.jobs.unshift(job);
+                this.pause(delay);
+            }
+        } finally {
+            this.active--;
+            this.pump();
+        }
+    }
+
+    pause(delayMs) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = setTimeout(() => {
+            this.resumeTimer = null;
+            this.pump();
+        }, this.pausedUntil - Date.now());
+    }
+}
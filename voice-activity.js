@@ -0,0 +1,100 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Energy-based voice activity detection for hands-free mode.
+//
+// The detector is fed one level measurement (RMS of the samples) per audio
+// frame. It tracks the background noise floor while nobody is speaking and
+// opens an utterance when the level stays above a sensitivity-dependent
+// threshold. The utterance closes after `silenceTimeoutMs` below it.
+
+// Level needed to count as speech on top of the noise floor, at sensitivity 1 and 0.
+const MIN_THRESHOLD_RATIO = 1.5;
+const MAX_THRESHOLD_RATIO = 6;
+// Absolute RMS floor so a perfectly silent input never triggers speech.
+const MIN_SPEECH_LEVEL = 0.004;
+const MAX_SPEECH_LEVEL = 0.03;
+// How quickly the noise floor follows a rising level (falling levels are taken at once).
+const NOISE_ADAPT_RATE = 0.05;
+// Speech must last this long to open an utterance, which filters out clicks.
+const MIN_SPEECH_MS = 120;
+// Long monologues are split so their translation does not lag too far behind.
+const MAX_UTTERANCE_MS = 30000;
+
+export const DEFAULT_VAD_OPTIONS = {
+    sensitivity: 0.5,
+    silenceTimeoutMs: 800,
+};
+
+export class VoiceActivityDetector {
+    constructor({ onSpeechStart, onSpeechEnd, ...options } = {}) {
+        this.onSpeechStart = onSpeechStart;
+        this.onSpeechEnd = onSpeechEnd;
+        this.configure({ ...DEFAULT_VAD_OPTIONS, ...options });
+        this.reset();
+    }
+
+    // `sensitivity` ranges from 0 (only loud, close speech) to 1 (picks up quiet speech).
+    configure({ sensitivity = this.sensitivity, silenceTimeoutMs = this.silenceTimeoutMs }) {
+        this.sensitivity = Math.min(1, Math.max(0, sensitivity));
+        this.silenceTimeoutMs = silenceTimeoutMs;
+    }
+
+    reset() {
+        this.isSpeaking = false;
+        this.noiseFloor = MIN_SPEECH_LEVEL;
+        this.speechMs = 0;
+        this.silenceMs = 0;
+        this.utteranceMs = 0;
+    }
+
+    process(level, durationMs) {
+        if (!this.isSpeaking) {
+            this.noiseFloor = level < this.noiseFloor
+                ? level
+                : this.noiseFloor + (level - this.noiseFloor) * NOISE_ADAPT_RATE;
+        }
+
+        if (level > this.getThreshold()) {
+            this.silenceMs = 0;
+            this.speechMs += durationMs;
+            if (!this.isSpeaking && this.speechMs >= MIN_SPEECH_MS) {
+                this.isSpeaking = true;
+                this.utteranceMs = 0;
+                this.onSpeechStart?.();
+            }
+        } else {
+            this.speechMs = 0;
+            if (this.isSpeaking) {
+                this.silenceMs += durationMs;
+                if (this.silenceMs >= this.silenceTimeoutMs) {
+                    this.endUtterance();
+                    return;
+                }
+            }
+        }
+
+        if (this.isSpeaking) {
+            this.utteranceMs += durationMs;
+            if (this.utteranceMs >= MAX_UTTERANCE_MS) {
+                this.endUtterance();
+            }
+        }
+    }
+
+    getThreshold() {
+        const insensitivity = 1 - this.sensitivity;
+        const ratio = MIN_THRESHOLD_RATIO + insensitivity * (MAX_THRESHOLD_RATIO - MIN_THRESHOLD_RATIO);
+        const minLevel = MIN_SPEECH_LEVEL + insensitivity * (MAX_SPEECH_LEVEL - MIN_SPEECH_LEVEL);
+        return Math.max(minLevel, this.noiseFloor * ratio);
+    }
+
+    endUtterance() {
+        this.isSpeaking = false;
+        this.speechMs = 0;
+        this.silenceMs = 0;
+        this.onSpeechEnd?.();
+    }
+}